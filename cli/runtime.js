@@ -0,0 +1,114 @@
+/**
+ * Node.js Runtime Module
+ * Loads the browser converter modules under Node with a standards-compliant XML DOM
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Same modules, same order as the <script> tags in index.html
+const MODULES = [
+    'utils.js',
+    'conversion-report.js',
+    'style-resolver.js',
+    'docx-parser.js',
+    'image-processor.js',
+    'template-merge.js',
+    'udf-generator.js'
+];
+
+let converter = null;
+
+/**
+ * Load DocxParser and UdfGenerator into the global scope, as the browser does
+ * @returns {{DocxParser: Function, ImageProcessor: Function, TemplateMerger: Function, UdfGenerator: Function,
+ *          ConversionReport: Function}} Converter classes
+ */
+function loadConverter() {
+    if (converter) return converter;
+
+    // Browser globals the modules rely on
+    globalThis.JSZip = JSZip;
+    globalThis.DOMParser = DOMParser;
+
+    for (const file of MODULES) {
+        const filename = path.join(__dirname, '..', 'js', file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    converter = {
+        DocxParser: vm.runInThisContext('DocxParser'),
+        ImageProcessor: vm.runInThisContext('ImageProcessor'),
+        TemplateMerger: vm.runInThisContext('TemplateMerger'),
+        UdfGenerator: vm.runInThisContext('UdfGenerator'),
+        ConversionReport: vm.runInThisContext('ConversionReport')
+    };
+    return converter;
+}
+
+/**
+ * Parse a DOCX file and prepare its images
+ * @param {string} inputPath - Path of the .docx file
+ * @param {Object} options - Converter options (see convertFile)
+ * @returns {Promise<Object>} Parsed document structure
+ */
+async function parseFile(inputPath, options) {
+    const { DocxParser, ImageProcessor } = loadConverter();
+    const data = await fs.promises.readFile(inputPath);
+
+    const document = await new DocxParser(options.parser).parse(data);
+
+    // Node has no canvas: images are kept as they are, unsupported formats become placeholders
+    await new ImageProcessor(options.images).process(document);
+    return document;
+}
+
+/**
+ * Convert a DOCX file to UDF
+ * @param {string} inputPath - Path of the .docx file
+ * @param {Object} [options] - Converter options
+ * @param {Object} [options.parser] - DocxParser options
+ * @param {Object} [options.images] - ImageProcessor options
+ * @param {Object} [options.generator] - UdfGenerator options
+ * @returns {Promise<{udf: Buffer, warnings: Array}>} UDF file contents and conversion warnings
+ */
+async function convertFile(inputPath, options = {}) {
+    const { UdfGenerator } = loadConverter();
+    const document = await parseFile(inputPath, options);
+    const { blob, warnings } = await new UdfGenerator(options.generator).generate(document);
+
+    return { udf: Buffer.from(await blob.arrayBuffer()), warnings: warnings };
+}
+
+/**
+ * Convert a DOCX template to one UDF per data record, filling its {{placeholders}}
+ * @param {string} inputPath - Path of the .docx template
+ * @param {Object[]} records - Values by placeholder name, one record per output
+ * @param {Object} options - Converter options (see convertFile)
+ * @param {Object} [options.merge] - TemplateMerger options
+ * @param {Function} onResult - Called with each record's index and result as soon as it is converted:
+ *        {udf, warnings}, or {error} when that record failed; awaited before the next record
+ * @returns {Promise<void>} Rejects only when the template itself cannot be read
+ */
+async function mergeFile(inputPath, records, options, onResult) {
+    const { TemplateMerger, UdfGenerator } = loadConverter();
+    const template = await parseFile(inputPath, options);
+    const merger = new TemplateMerger(options.merge);
+    const generator = new UdfGenerator(options.generator);
+
+    for (const [index, record] of records.entries()) {
+        let result;
+        try {
+            const { blob, warnings } = await generator.generate(merger.merge(template, record));
+            result = { udf: Buffer.from(await blob.arrayBuffer()), warnings: warnings };
+        } catch (error) {
+            result = { error: error };
+        }
+        await onResult(index, result);
+    }
+}
+
+module.exports = { loadConverter, convertFile, mergeFile };
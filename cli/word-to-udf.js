@@ -0,0 +1,539 @@
+#!/usr/bin/env node
+/**
+ * Word to UDF command-line converter
+ * Converts one or many .docx files (paths, directories or glob patterns) to .udf
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { convertFile, mergeFile, loadConverter } = require('./runtime');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: word-to-udf convert <files|directories|globs...> [options]
+
+Options:
+  -o, --out-dir <dir>    Write .udf files to this directory (default: next to each source)
+  -r, --recursive        Search directories recursively
+  -n, --name <pattern>   Output file name pattern, {name} is the source name without extension;
+                         with --data, {n} is the record number and {{column}} a record value
+                         (default: "{name}.udf", with --data "{name}-{n}.udf")
+      --overwrite        Replace existing .udf files (default: skip them)
+      --report <file>    Write the conversion report (dropped/approximated content) as JSON
+      --track-changes <mode>
+                         Tracked changes: accept, reject or markup (default: accept)
+      --comments <mode>  Comments: strip, or export to an "Açıklamalar" section (default: strip)
+      --placeholders <mode>
+                         Placeholder text of unfilled content controls: keep, remove or blank
+                         (a fill-in line) (default: keep)
+      --no-link-urls     Keep only the text of hyperlinks (default: "text (url)")
+      --footnotes <placement>
+                         Footnotes: document, section, page-break or inline (default: page-break)
+      --footnote-format <format>
+                         Footnote numbers: decimal, lowerRoman, upperRoman, lowerLetter,
+                         upperLetter or chicago (default: decimal)
+      --footnote-separator <text>
+                         Line above the footnotes, "" for none (default: a line of ─)
+      --footnote-restart Restart footnote numbering in each section
+      --font-map <file>  JSON file of font substitutions, e.g. {"Calibri": "Arial"}, added to the
+                         built-in table (a target of "hvl-default" uses the default font)
+      --unknown-font <font>
+                         Font for fonts UYAP does not support and the table does not map:
+                         a font name, hvl-default or keep (default: hvl-default)
+      --normalize-font-sizes
+                         Round font sizes to those offered by the UYAP editor
+      --data <file>      Fill the {{placeholders}} of each document from a JSON or CSV file,
+                         writing one .udf per record (JSON object or array, CSV row)
+      --merge-missing <mode>
+                         Placeholders without a value: keep or blank (default: keep)
+  -w, --warnings         Print each file's conversion warnings
+  -q, --quiet            Only print the summary
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Exit codes: 0 all files converted, 1 one or more files failed, 2 invalid usage`;
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the node executable and script
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+    const options = {
+        command: null,
+        inputs: [],
+        outDir: null,
+        recursive: false,
+        namePattern: null,
+        overwrite: false,
+        reportPath: null,
+        trackChanges: 'accept',
+        comments: 'strip',
+        placeholders: 'keep',
+        linkUrls: true,
+        footnotes: 'page-break',
+        footnoteFormat: 'decimal',
+        footnoteSeparator: null,
+        footnoteRestart: false,
+        fontMapPath: null,
+        unknownFont: 'hvl-default',
+        normalizeFontSizes: false,
+        dataPath: null,
+        mergeMissing: 'keep',
+        showWarnings: false,
+        quiet: false,
+        help: false,
+        version: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const takeValue = () => {
+            const value = args[++i];
+            if (value === undefined) throw new UsageError(`Missing value for ${arg}`);
+            return value;
+        };
+
+        if (arg === '-o' || arg === '--out-dir') {
+            options.outDir = takeValue();
+        } else if (arg === '-n' || arg === '--name') {
+            options.namePattern = takeValue();
+        } else if (arg === '-r' || arg === '--recursive') {
+            options.recursive = true;
+        } else if (arg === '--overwrite') {
+            options.overwrite = true;
+        } else if (arg === '--report') {
+            options.reportPath = takeValue();
+        } else if (arg === '--track-changes') {
+            options.trackChanges = takeValue();
+            if (!['accept', 'reject', 'markup'].includes(options.trackChanges)) {
+                throw new UsageError(`Invalid --track-changes mode: ${options.trackChanges}`);
+            }
+        } else if (arg === '--comments') {
+            options.comments = takeValue();
+            if (!['strip', 'export'].includes(options.comments)) {
+                throw new UsageError(`Invalid --comments mode: ${options.comments}`);
+            }
+        } else if (arg === '--placeholders') {
+            options.placeholders = takeValue();
+            if (!['keep', 'remove', 'blank'].includes(options.placeholders)) {
+                throw new UsageError(`Invalid --placeholders mode: ${options.placeholders}`);
+            }
+        } else if (arg === '--no-link-urls') {
+            options.linkUrls = false;
+        } else if (arg === '--footnotes') {
+            options.footnotes = takeValue();
+            if (!['document', 'section', 'page-break', 'inline'].includes(options.footnotes)) {
+                throw new UsageError(`Invalid --footnotes placement: ${options.footnotes}`);
+            }
+        } else if (arg === '--footnote-format') {
+            options.footnoteFormat = takeValue();
+            if (!['decimal', 'lowerRoman', 'upperRoman', 'lowerLetter', 'upperLetter', 'chicago'].includes(options.footnoteFormat)) {
+                throw new UsageError(`Invalid --footnote-format: ${options.footnoteFormat}`);
+            }
+        } else if (arg === '--footnote-separator') {
+            options.footnoteSeparator = takeValue();
+        } else if (arg === '--footnote-restart') {
+            options.footnoteRestart = true;
+        } else if (arg === '--font-map') {
+            options.fontMapPath = takeValue();
+        } else if (arg === '--unknown-font') {
+            options.unknownFont = takeValue();
+        } else if (arg === '--normalize-font-sizes') {
+            options.normalizeFontSizes = true;
+        } else if (arg === '--data') {
+            options.dataPath = takeValue();
+        } else if (arg === '--merge-missing') {
+            options.mergeMissing = takeValue();
+            if (!['keep', 'blank'].includes(options.mergeMissing)) {
+                throw new UsageError(`Invalid --merge-missing mode: ${options.mergeMissing}`);
+            }
+        } else if (arg === '-w' || arg === '--warnings') {
+            options.showWarnings = true;
+        } else if (arg === '-q' || arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-v' || arg === '--version') {
+            options.version = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    // Merged documents need a name per record
+    if (options.namePattern === null) {
+        options.namePattern = options.dataPath ? '{name}-{n}.udf' : '{name}.udf';
+    }
+
+    return options;
+}
+
+class UsageError extends Error {}
+
+/**
+ * Read a font substitution table
+ * @param {string} filePath - JSON file mapping font names to font names
+ * @returns {Object} Font substitutions
+ */
+function readFontMap(filePath) {
+    let fontMap;
+    try {
+        fontMap = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`Could not read --font-map ${filePath}: ${error.message}`);
+    }
+
+    const isValid = fontMap && typeof fontMap === 'object' && !Array.isArray(fontMap) &&
+        Object.values(fontMap).every(target => typeof target === 'string');
+    if (!isValid) {
+        throw new UsageError(`Invalid --font-map ${filePath}: expected an object of font names`);
+    }
+    return fontMap;
+}
+
+/**
+ * Read the merge records of a JSON or CSV file
+ * @param {string} filePath - Data file
+ * @returns {Object[]} Records
+ */
+function readMergeData(filePath) {
+    const { TemplateMerger } = loadConverter();
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+
+    let records;
+    try {
+        records = TemplateMerger.parseData(fs.readFileSync(filePath, 'utf8'), extension);
+    } catch (error) {
+        throw new UsageError(`Could not read --data ${filePath}: ${error.message}`);
+    }
+
+    if (records.length === 0) {
+        throw new UsageError(`No records in --data ${filePath}`);
+    }
+    return records;
+}
+
+/**
+ * Check whether a file is a convertible Word document (skipping Word lock files)
+ * @param {string} filePath - File path
+ * @returns {boolean} True for .docx files
+ */
+function isDocx(filePath) {
+    const base = path.basename(filePath);
+    return base.toLowerCase().endsWith('.docx') && !base.startsWith('~$');
+}
+
+/**
+ * Convert a glob pattern to a regular expression (supports *, ** and ?)
+ * @param {string} pattern - Glob pattern with forward slashes
+ * @returns {RegExp} Matching expression
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * List files below a directory
+ * @param {string} dir - Directory path
+ * @param {boolean} recursive - Descend into subdirectories
+ * @returns {string[]} File paths
+ */
+function listFiles(dir, recursive) {
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...listFiles(entryPath, recursive));
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Expand the command-line inputs into source files
+ * @param {string[]} inputs - Paths, directories or glob patterns
+ * @param {boolean} recursive - Search directories recursively
+ * @returns {{files: Array<{source: string, base: string}>, missing: string[]}} Sources with
+ *          the directory their relative output path is computed from, and inputs that matched nothing
+ */
+function expandInputs(inputs, recursive) {
+    const files = [];
+    const missing = [];
+    const seen = new Set();
+    const add = (source, base) => {
+        const resolved = path.resolve(source);
+        if (seen.has(resolved)) return;
+        seen.add(resolved);
+        files.push({ source: resolved, base: path.resolve(base) });
+    };
+
+    for (const input of inputs) {
+        const normalized = input.split(path.sep).join('/');
+
+        if (/[*?]/.test(normalized)) {
+            // Walk from the static part of the pattern and match the rest
+            const parts = normalized.split('/');
+            const firstGlob = parts.findIndex(part => /[*?]/.test(part));
+            const base = parts.slice(0, firstGlob).join('/') || '.';
+            const matcher = globToRegExp(path.resolve(base).split(path.sep).join('/') + '/' +
+                parts.slice(firstGlob).join('/'));
+            const walkRecursive = parts.slice(firstGlob).length > 1 || normalized.includes('**') || recursive;
+
+            const matches = fs.existsSync(base)
+                ? listFiles(base, walkRecursive).filter(file =>
+                    isDocx(file) && matcher.test(path.resolve(file).split(path.sep).join('/')))
+                : [];
+            if (matches.length === 0) missing.push(input);
+            matches.forEach(file => add(file, base));
+        } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            const matches = listFiles(input, recursive).filter(isDocx);
+            if (matches.length === 0) missing.push(input);
+            matches.forEach(file => add(file, input));
+        } else if (fs.existsSync(input)) {
+            add(input, path.dirname(input));
+        } else {
+            missing.push(input);
+        }
+    }
+
+    return { files, missing };
+}
+
+/**
+ * Fill the file name pattern of a merged document with its record number and values
+ * @param {string} pattern - Output file name pattern
+ * @param {Object} record - Merge record
+ * @param {number} index - Index of the record
+ * @returns {string} Pattern with {n} and {{column}} replaced ({name} is left for getOutputPath)
+ */
+function fillNamePattern(pattern, record, index) {
+    const { TemplateMerger } = loadConverter();
+
+    // Record values must not add directories or characters Windows rejects
+    return new TemplateMerger().fillText(pattern, record)
+        .replace(/\{n\}/g, String(index + 1))
+        .replace(/[\\/:*?"<>|]/g, '_');
+}
+
+/**
+ * Give an output path a numbered suffix ("name (2).udf") when an earlier output of the run took it
+ * @param {string} outputPath - Wanted output path
+ * @param {Set<string>} usedPaths - Paths taken so far (lower case: Windows and macOS ignore case); updated
+ * @returns {string} Unique output path
+ */
+function getUniquePath(outputPath, usedPaths) {
+    const extension = path.extname(outputPath);
+    const stem = outputPath.slice(0, outputPath.length - extension.length);
+
+    let uniquePath = outputPath;
+    for (let n = 2; usedPaths.has(uniquePath.toLowerCase()); n++) {
+        uniquePath = `${stem} (${n})${extension}`;
+    }
+    usedPaths.add(uniquePath.toLowerCase());
+    return uniquePath;
+}
+
+/**
+ * Compute the output path of a source file
+ * @param {{source: string, base: string}} file - Source file and its base directory
+ * @param {Object} options - Parsed options
+ * @returns {string} Output path
+ */
+function getOutputPath(file, options) {
+    const name = path.basename(file.source).replace(/\.docx$/i, '');
+    const outputName = options.namePattern.replace(/\{name\}/g, name);
+
+    if (!options.outDir) {
+        return path.join(path.dirname(file.source), outputName);
+    }
+
+    // Keep the folder structure below the input directory
+    const relativeDir = path.relative(file.base, path.dirname(file.source));
+    return path.join(path.resolve(options.outDir), relativeDir, outputName);
+}
+
+/**
+ * Run the convert command
+ * @param {Object} options - Parsed options
+ * @returns {Promise<number>} Exit code
+ */
+async function runConvert(options) {
+    if (options.inputs.length === 0) {
+        throw new UsageError('No input files given');
+    }
+
+    const { ConversionReport } = loadConverter();
+    const { files, missing } = expandInputs(options.inputs, options.recursive);
+    const log = (message) => { if (!options.quiet) console.log(message); };
+    const summary = { converted: [], skipped: [], failed: [] };
+
+    const generatorOptions = {
+        linkUrls: options.linkUrls,
+        footnotes: options.footnotes,
+        footnoteFormat: options.footnoteFormat,
+        footnoteRestart: options.footnoteRestart,
+        fontMap: options.fontMapPath ? readFontMap(options.fontMapPath) : {},
+        unknownFont: options.unknownFont === 'keep' ? '' : options.unknownFont,
+        normalizeFontSizes: options.normalizeFontSizes
+    };
+    if (options.footnoteSeparator !== null) generatorOptions.footnoteSeparator = options.footnoteSeparator;
+
+    for (const input of missing) {
+        summary.failed.push({ source: input, error: 'No such file or no .docx files matched' });
+    }
+
+    const records = options.dataPath ? readMergeData(options.dataPath) : null;
+    const converterOptions = {
+        parser: {
+            trackChanges: options.trackChanges,
+            comments: options.comments,
+            placeholders: options.placeholders
+        },
+        generator: generatorOptions,
+        merge: { missing: options.mergeMissing }
+    };
+
+    // Output paths already taken in this run; merged records with the same values share a name
+    const usedPaths = new Set();
+
+    for (const file of files) {
+        const displayPath = path.relative(process.cwd(), file.source) || file.source;
+
+        // One output per record when merging
+        const outputs = (records || [null]).map((record, index) => {
+            const namePattern = record ? fillNamePattern(options.namePattern, record, index) : options.namePattern;
+            const outputPath = getUniquePath(getOutputPath(file, Object.assign({}, options, { namePattern })), usedPaths);
+            return { record: record, number: index + 1, path: outputPath };
+        });
+
+        const pending = outputs.filter(output => {
+            if (options.overwrite || !fs.existsSync(output.path)) return true;
+
+            summary.skipped.push({ source: file.source, output: output.path });
+            log(`skipped    ${displayPath} (${path.relative(process.cwd(), output.path)} exists, use --overwrite)`);
+            return false;
+        });
+        if (pending.length === 0) continue;
+
+        const fail = (error, output) => {
+            const message = records ? `record ${output.number}: ${error.message}` : error.message;
+            summary.failed.push({ source: file.source, error: message });
+            log(`failed     ${displayPath}: ${message}`);
+        };
+
+        // Each file is written as soon as it is converted, so a failing record loses only its own output
+        const write = async (output, { udf, warnings }) => {
+            await fs.promises.mkdir(path.dirname(output.path), { recursive: true });
+            await fs.promises.writeFile(output.path, udf);
+            summary.converted.push({ source: file.source, output: output.path, warnings: warnings });
+
+            const warningCount = warnings.reduce((total, warning) => total + warning.count, 0);
+            const warningNote = warningCount > 0 ? ` (${warningCount} warning${warningCount > 1 ? 's' : ''})` : '';
+            log(`converted  ${displayPath} -> ${path.relative(process.cwd(), output.path)}${warningNote}`);
+            if (options.showWarnings) {
+                warnings.forEach(warning => log(`             ${warning.kind}: ${ConversionReport.format(warning)}`));
+            }
+        };
+
+        try {
+            if (records) {
+                const onResult = async (index, result) => {
+                    if (result.error) {
+                        fail(result.error, pending[index]);
+                        return;
+                    }
+                    await write(pending[index], result).catch(error => fail(error, pending[index]));
+                };
+                await mergeFile(file.source, pending.map(output => output.record), converterOptions, onResult);
+            } else {
+                await write(pending[0], await convertFile(file.source, converterOptions));
+            }
+        } catch (error) {
+            summary.failed.push({ source: file.source, error: error.message });
+            log(`failed     ${displayPath}: ${error.message}`);
+        }
+    }
+
+    if (options.reportPath) {
+        const report = ConversionReport.toJSON(summary.converted.map(entry => ({
+            file: records ? entry.output : entry.source,
+            warnings: entry.warnings
+        })));
+        await fs.promises.writeFile(options.reportPath, JSON.stringify(report, null, 2));
+    }
+
+    console.log(`\n${summary.converted.length} converted, ${summary.skipped.length} skipped, ${summary.failed.length} failed`);
+    for (const failure of summary.failed) {
+        console.error(`  ${failure.source}: ${failure.error}`);
+    }
+
+    return summary.failed.length > 0 ? 1 : 0;
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} args - Command-line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    try {
+        const options = parseArgs(args);
+
+        if (options.version) {
+            console.log(version);
+            return 0;
+        }
+        if (options.help || !options.command) {
+            console.log(USAGE);
+            return options.help ? 0 : 2;
+        }
+        if (options.command !== 'convert') {
+            throw new UsageError(`Unknown command: ${options.command}`);
+        }
+
+        return await runConvert(options);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main, parseArgs, expandInputs, getOutputPath };
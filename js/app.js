@@ -8,29 +8,40 @@ class WordToUdfApp {
         // DOM Elements
         this.uploadZone = document.getElementById('uploadZone');
         this.fileInput = document.getElementById('fileInput');
-        this.fileInfo = document.getElementById('fileInfo');
-        this.fileName = document.getElementById('fileName');
-        this.fileSize = document.getElementById('fileSize');
-        this.removeFile = document.getElementById('removeFile');
+        this.fileQueue = document.getElementById('fileQueue');
         this.convertBtn = document.getElementById('convertBtn');
+        this.convertBtnText = document.getElementById('convertBtnText');
         this.progressContainer = document.getElementById('progressContainer');
         this.progressFill = document.getElementById('progressFill');
         this.progressText = document.getElementById('progressText');
         this.downloadSection = document.getElementById('downloadSection');
+        this.successText = document.getElementById('successText');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.downloadBtnText = document.getElementById('downloadBtnText');
         this.convertAnother = document.getElementById('convertAnother');
         this.errorMessage = document.getElementById('errorMessage');
         this.errorText = document.getElementById('errorText');
         this.themeToggle = document.getElementById('themeToggle');
+        this.previewPanel = document.getElementById('previewPanel');
+        this.previewTitle = document.getElementById('previewTitle');
+        this.previewSource = document.getElementById('previewSource');
+        this.previewUdf = document.getElementById('previewUdf');
+        this.closePreview = document.getElementById('closePreview');
+        this.reportSection = document.getElementById('reportSection');
+        this.reportTitle = document.getElementById('reportTitle');
+        this.reportList = document.getElementById('reportList');
+        this.downloadReport = document.getElementById('downloadReport');
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.mergeDataInput = document.getElementById('mergeDataInput');
+        this.mergeDataStatus = document.getElementById('mergeDataStatus');
 
         // State
-        this.selectedFile = null;
-        this.convertedBlob = null;
-        this.outputFilename = 'document.udf';
+        this.queue = []; // { id, file, status: pending|converting|done|error, document, blob, warnings, outputFilename, outputs, error }
+        this.isConverting = false;
+        this.mergeRecords = null; // Template data: one UDF per record
 
-        // Modules
-        this.parser = new DocxParser();
-        this.generator = new UdfGenerator();
+        // Number of files converted at the same time
+        this.concurrency = 2;
 
         // Initialize
         this.init();
@@ -39,6 +50,7 @@ class WordToUdfApp {
     init() {
         this.bindEvents();
         this.initTheme();
+        this.initSettings();
     }
 
     bindEvents() {
@@ -50,20 +62,32 @@ class WordToUdfApp {
         this.uploadZone.addEventListener('dragleave', (e) => this.handleDragLeave(e));
         this.uploadZone.addEventListener('drop', (e) => this.handleDrop(e));
 
-        // Remove file
-        this.removeFile.addEventListener('click', () => this.handleRemoveFile());
+        // Remove / download buttons inside the file queue
+        this.fileQueue.addEventListener('click', (e) => this.handleQueueClick(e));
 
         // Convert button
         this.convertBtn.addEventListener('click', () => this.handleConvert());
 
         // Download button
-        this.downloadBtn.addEventListener('click', () => this.handleDownload());
+        this.downloadBtn.addEventListener('click', () => {
+            this.handleDownload().catch(error => this.showActionError('Download', error));
+        });
 
         // Convert another
         this.convertAnother.addEventListener('click', () => this.handleConvertAnother());
 
+        // Conversion report
+        this.downloadReport.addEventListener('click', () => this.handleDownloadReport());
+
+        // Close preview
+        this.closePreview.addEventListener('click', () => this.hidePreview());
+
         // Theme toggle
         this.themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        // Conversion settings
+        this.settingsPanel.addEventListener('change', () => this.saveSettings());
+        this.mergeDataInput.addEventListener('change', (e) => this.handleMergeData(e));
     }
 
     initTheme() {
@@ -96,6 +120,68 @@ class WordToUdfApp {
         }
     }
 
+    initSettings() {
+        // Restore saved conversion settings; controls carry their option name in data-setting
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('settings') || '{}');
+        } catch (error) {
+            console.warn('Could not read saved settings:', error);
+        }
+
+        for (const control of this.settingsPanel.querySelectorAll('[data-setting]')) {
+            const value = saved[control.dataset.setting];
+            if (value === undefined) continue;
+
+            if (control.type === 'checkbox') {
+                control.checked = Boolean(value);
+            } else if (control.tagName !== 'SELECT' || [...control.options].some(option => option.value === value)) {
+                control.value = value;
+            }
+        }
+    }
+
+    getSettings() {
+        const settings = {};
+        for (const control of this.settingsPanel.querySelectorAll('[data-setting]')) {
+            settings[control.dataset.setting] = control.type === 'checkbox' ? control.checked : control.value;
+        }
+        return settings;
+    }
+
+    saveSettings() {
+        localStorage.setItem('settings', JSON.stringify(this.getSettings()));
+    }
+
+    async handleMergeData(e) {
+        const file = e.target.files[0];
+        this.mergeRecords = null;
+        this.mergeDataStatus.textContent = 'No data: documents are converted as they are';
+        if (!file) return;
+
+        try {
+            const records = TemplateMerger.parseData(await file.text(), getFileExtension(file.name));
+            if (records.length === 0) throw new Error('the file has no records');
+
+            this.mergeRecords = records;
+            this.mergeDataStatus.textContent = `${records.length} record(s) from ${file.name}`;
+            this.hideError();
+        } catch (error) {
+            this.mergeDataInput.value = '';
+            this.showError(`Could not read template data: ${error.message}`);
+        }
+    }
+
+    parseFontMap(text) {
+        // One "Word font = UDF font" substitution per line
+        const fontMap = {};
+        for (const line of (text || '').split('\n')) {
+            const [source, target] = line.split('=').map(part => part.trim());
+            if (source && target) fontMap[source] = target;
+        }
+        return fontMap;
+    }
+
     handleDragOver(e) {
         e.preventDefault();
         e.stopPropagation();
@@ -115,83 +201,309 @@ class WordToUdfApp {
 
         const files = e.dataTransfer.files;
         if (files.length > 0) {
-            this.processFile(files[0]);
+            this.addFiles(files);
         }
     }
 
     handleFileSelect(e) {
         const files = e.target.files;
         if (files.length > 0) {
-            this.processFile(files[0]);
+            this.addFiles(files);
         }
+        // Allow selecting the same file again
+        this.fileInput.value = '';
     }
 
-    processFile(file) {
-        // Validate file type
-        const extension = getFileExtension(file.name);
-        if (extension !== 'docx') {
-            this.showError('Please select a valid Word document (.docx file)');
-            return;
+    addFiles(files) {
+        if (this.isConverting) return;
+
+        // Start a new batch if the previous one was already converted
+        if (!this.downloadSection.classList.contains('hidden')) {
+            this.handleConvertAnother();
         }
 
-        this.selectedFile = file;
-        this.outputFilename = file.name.replace('.docx', '.udf');
+        let rejected = 0;
+        for (const file of files) {
+            // Validate file type
+            const extension = getFileExtension(file.name);
+            if (extension !== 'docx') {
+                rejected++;
+                continue;
+            }
+
+            this.queue.push({
+                id: generateId(),
+                file: file,
+                status: 'pending',
+                blob: null,
+                warnings: [],
+                outputFilename: file.name.replace(/\.docx$/i, '.udf'),
+                error: null
+            });
+        }
 
-        // Update UI
-        this.fileName.textContent = file.name;
-        this.fileSize.textContent = formatFileSize(file.size);
-        this.uploadZone.classList.add('hidden');
-        this.fileInfo.classList.remove('hidden');
-        this.convertBtn.disabled = false;
-        this.hideError();
+        if (rejected > 0) {
+            this.showError(rejected === files.length
+                ? 'Please select valid Word documents (.docx files)'
+                : `${rejected} file(s) skipped: only .docx files can be converted`);
+        } else {
+            this.hideError();
+        }
+
+        this.renderQueue();
     }
 
-    handleRemoveFile() {
-        this.selectedFile = null;
-        this.fileInput.value = '';
-        this.fileInfo.classList.add('hidden');
-        this.uploadZone.classList.remove('hidden');
-        this.convertBtn.disabled = true;
-        this.hideError();
+    handleQueueClick(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const item = this.queue.find(entry => entry.id === button.dataset.id);
+        if (!item) return;
+
+        if (button.dataset.action === 'remove' && !this.isConverting) {
+            this.queue = this.queue.filter(entry => entry !== item);
+            this.hideError();
+            this.renderQueue();
+        } else if (button.dataset.action === 'download' && item.outputs) {
+            this.createZipBundle([item])
+                .then(blob => downloadBlob(blob, item.outputFilename))
+                .catch(error => this.showActionError('Download', error));
+        } else if (button.dataset.action === 'download' && item.blob) {
+            downloadBlob(item.blob, item.outputFilename);
+        } else if (button.dataset.action === 'preview' && item.blob) {
+            this.showPreview(item).catch(error => this.showActionError('Preview', error));
+        }
+    }
+
+    showActionError(action, error) {
+        console.error(`${action} error:`, error);
+        this.showError(`${action} failed: ${error.message || 'an unexpected error occurred'}`);
+    }
+
+    renderQueue() {
+        this.fileQueue.replaceChildren(...this.queue.map(item => this.createQueueItem(item)));
+        this.fileQueue.classList.toggle('hidden', this.queue.length === 0);
+
+        const pending = this.queue.filter(item => item.status === 'pending').length;
+        this.convertBtn.disabled = pending === 0 || this.isConverting;
+        this.convertBtnText.textContent = pending > 1 ? `Convert ${pending} files to UDF` : 'Convert to UDF';
+    }
+
+    createQueueItem(item) {
+        const statusLabels = {
+            pending: 'Ready',
+            converting: 'Converting...',
+            done: 'Converted',
+            error: 'Failed'
+        };
+
+        const li = document.createElement('li');
+        li.className = `file-info queue-item status-${item.status}`;
+
+        const icon = document.createElement('div');
+        icon.className = 'file-icon';
+        icon.innerHTML = '<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M14 2H6C5.46957 2 4.96086 2.21071 4.58579 2.58579C4.21071 2.96086 4 3.46957 4 4V20C4 20.5304 4.21071 21.0391 4.58579 21.4142C4.96086 21.7893 5.46957 22 6 22H18C18.5304 22 19.0391 21.7893 19.4142 21.4142C19.7893 21.0391 20 20.5304 20 20V8L14 2Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><polyline points="14,2 14,8 20,8" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /></svg>';
+
+        const details = document.createElement('div');
+        details.className = 'file-details';
+        const name = document.createElement('p');
+        name.className = 'file-name';
+        name.textContent = item.file.name;
+        const meta = document.createElement('p');
+        meta.className = 'file-size';
+        let status = item.error || statusLabels[item.status];
+        if (item.status === 'done' && item.outputs) {
+            status += ` · ${item.outputs.length} UDF files`;
+        }
+        if (item.status === 'done' && item.warnings.length > 0) {
+            const count = item.warnings.reduce((total, warning) => total + warning.count, 0);
+            status += ` · ${count} warning${count > 1 ? 's' : ''}`;
+        }
+        meta.textContent = `${formatFileSize(item.file.size)} · ${status}`;
+        details.append(name, meta);
+
+        li.append(icon, details);
+
+        if (item.status === 'done') {
+            li.append(this.createQueueButton(item, 'preview', 'Preview', '<path d="M1 12C1 12 5 4 12 4C19 4 23 12 23 12C23 12 19 20 12 20C5 20 1 12 1 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><circle cx="12" cy="12" r="3" stroke="currentColor" stroke-width="2" />'));
+            li.append(this.createQueueButton(item, 'download', 'Download', '<path d="M21 15V19C21 20.1 20.1 21 19 21H5C3.9 21 3 20.1 3 19V15" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><polyline points="7,10 12,15 17,10" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><line x1="12" y1="15" x2="12" y2="3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />'));
+        } else if (item.status === 'pending' && !this.isConverting) {
+            li.append(this.createQueueButton(item, 'remove', 'Remove', '<line x1="18" y1="6" x2="6" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" /><line x1="6" y1="6" x2="18" y2="18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />'));
+        }
+
+        return li;
+    }
+
+    createQueueButton(item, action, label, iconPaths) {
+        const button = document.createElement('button');
+        button.className = action === 'remove' ? 'remove-file' : `remove-file ${action}-file`;
+        button.dataset.action = action;
+        button.dataset.id = item.id;
+        button.setAttribute('aria-label', `${label} ${item.file.name}`);
+        button.innerHTML = `<svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">${iconPaths}</svg>`;
+        return button;
     }
 
     async handleConvert() {
-        if (!this.selectedFile) return;
+        const pending = this.queue.filter(item => item.status === 'pending');
+        if (pending.length === 0 || this.isConverting) return;
 
-        try {
-            // Show progress
-            this.convertBtn.classList.add('hidden');
-            this.progressContainer.classList.remove('hidden');
-            this.hideError();
+        this.isConverting = true;
 
-            // Update progress: Parsing
-            this.updateProgress(20, 'Parsing Word document...');
-            await sleep(300);
+        // Show progress
+        this.convertBtn.classList.add('hidden');
+        this.progressContainer.classList.remove('hidden');
+        this.hideError();
+        this.renderQueue();
+
+        let finished = 0;
+        this.updateProgress(5, `Converting ${pending.length} file(s)...`);
+
+        // Convert with a small worker pool; each file gets its own parser and generator
+        const next = [...pending];
+        const worker = async () => {
+            while (next.length > 0) {
+                const item = next.shift();
+                item.status = 'converting';
+                this.renderQueue();
+
+                try {
+                    await this.convertItem(item);
+                    item.status = 'done';
+                } catch (error) {
+                    console.error('Conversion error:', error);
+                    item.status = 'error';
+                    item.error = error.message || 'An error occurred during conversion';
+                }
+
+                finished++;
+                this.updateProgress(Math.round(finished / pending.length * 100),
+                    `Converted ${finished} of ${pending.length}: ${item.file.name}`);
+                this.renderQueue();
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+
+        this.isConverting = false;
+        await sleep(300);
+        this.progressContainer.classList.add('hidden');
+        this.showResults();
+    }
 
-            // Parse DOCX
-            const document = await this.parser.parse(this.selectedFile);
+    async convertItem(item) {
+        const settings = this.getSettings();
+
+        // Parse DOCX
+        const parser = new DocxParser({
+            trackChanges: settings.trackChanges,
+            comments: settings.comments,
+            placeholders: settings.placeholders
+        });
+        item.document = await parser.parse(item.file);
+
+        // Convert, downsample and recompress images
+        const imageProcessor = new ImageProcessor({
+            dpi: Number(settings.imageDpi),
+            jpegQuality: Number(settings.jpegQuality)
+        });
+        await imageProcessor.process(item.document);
+
+        // Generate UDF
+        const generator = new UdfGenerator({
+            linkUrls: settings.linkUrls,
+            footnotes: settings.footnotes,
+            footnoteSeparator: settings.footnoteSeparator,
+            footnoteRestart: settings.footnoteRestart,
+            footnoteFormat: settings.footnoteFormat,
+            fontMap: this.parseFontMap(settings.fontMap),
+            unknownFont: settings.unknownFont,
+            normalizeFontSizes: settings.normalizeFontSizes
+        });
+        if (this.mergeRecords) {
+            await this.mergeItem(item, generator, settings);
+            return;
+        }
 
-            // Update progress: Converting
-            this.updateProgress(60, 'Converting to UDF format...');
-            await sleep(300);
+        const result = await generator.generate(item.document);
+        item.blob = result.blob;
+        item.warnings = result.warnings;
+    }
 
-            // Generate UDF
-            this.convertedBlob = await this.generator.generate(document);
+    async mergeItem(item, generator, settings) {
+        // One UDF per data record, downloaded together as a ZIP
+        const merger = new TemplateMerger({ missing: settings.mergeMissing });
+        const template = item.document;
+        const baseName = item.file.name.replace(/\.docx$/i, '');
+        item.outputs = [];
+
+        for (const [index, record] of this.mergeRecords.entries()) {
+            const document = merger.merge(template, record);
+            const result = await generator.generate(document);
+
+            // Only the first record is previewed; other copies (with all their images) are not kept
+            if (index === 0) item.document = document;
+
+            const name = merger.fillText(settings.mergeFileName || '{name}-{n}', record)
+                .replace(/\{name\}/g, baseName)
+                .replace(/\{n\}/g, String(index + 1))
+                .replace(/[\\/:*?"<>|]/g, '_');
+            item.outputs.push({ outputFilename: `${name}.udf`, blob: result.blob, warnings: result.warnings });
+        }
 
-            // Update progress: Complete
-            this.updateProgress(100, 'Conversion complete!');
-            await sleep(500);
+        // The first record stands for the template in the preview; the report lists the template's
+        // warnings once and the missing values of every record
+        const [first, ...others] = item.outputs;
+        const report = new ConversionReport(first.warnings);
+        for (const output of others) {
+            output.warnings.filter(warning => warning.code.startsWith('merge-')).forEach(warning => {
+                report.addWarning(Object.assign({}, warning, { locations: [...warning.locations] }));
+            });
+        }
+        item.blob = first.blob;
+        item.warnings = report.warnings;
+        item.outputFilename = `${baseName}.zip`;
+    }
 
-            // Show download section
-            this.progressContainer.classList.add('hidden');
-            this.fileInfo.classList.add('hidden');
-            this.downloadSection.classList.remove('hidden');
+    async showPreview(item) {
+        const preview = new UdfPreview();
 
-        } catch (error) {
-            console.error('Conversion error:', error);
-            this.progressContainer.classList.add('hidden');
+        this.previewTitle.textContent = `Preview: ${item.file.name}`;
+        this.previewSource.replaceChildren(preview.renderDocument(item.document));
+        this.previewUdf.replaceChildren(await preview.renderUdfBlob(item.blob));
+
+        this.previewPanel.classList.remove('hidden');
+        this.previewPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    hidePreview() {
+        this.previewPanel.classList.add('hidden');
+        this.previewSource.replaceChildren();
+        this.previewUdf.replaceChildren();
+    }
+
+    showResults() {
+        const done = this.queue.filter(item => item.status === 'done');
+        const failed = this.queue.filter(item => item.status === 'error');
+
+        this.renderQueue();
+
+        if (done.length === 0) {
             this.convertBtn.classList.remove('hidden');
-            this.showError(error.message || 'An error occurred during conversion. Please try again.');
+            this.showError(failed.length === 1
+                ? failed[0].error
+                : 'None of the files could be converted. Please check that they are valid Word documents.');
+            return;
+        }
+
+        this.successText.textContent = failed.length > 0
+            ? `${done.length} of ${done.length + failed.length} files converted`
+            : done.length > 1 ? `${done.length} files converted!` : 'Conversion Complete!';
+        this.downloadBtnText.textContent = done.length > 1 || done[0].outputs ? 'Download All (ZIP)' : 'Download UDF File';
+        this.downloadSection.classList.remove('hidden');
+        this.renderReport(done);
+
+        if (failed.length > 0) {
+            this.showError(`${failed.length} file(s) could not be converted`);
         }
     }
 
@@ -200,25 +512,85 @@ class WordToUdfApp {
         this.progressText.textContent = text;
     }
 
-    handleDownload() {
-        if (this.convertedBlob) {
-            downloadBlob(this.convertedBlob, this.outputFilename);
+    renderReport(items) {
+        const withWarnings = items.filter(item => item.warnings.length > 0);
+        this.reportSection.classList.toggle('hidden', withWarnings.length === 0);
+        if (withWarnings.length === 0) return;
+
+        const entries = [];
+        for (const item of withWarnings) {
+            // Group by file when several files were converted
+            if (items.length > 1) {
+                const heading = document.createElement('li');
+                heading.className = 'report-file';
+                heading.textContent = item.file.name;
+                entries.push(heading);
+            }
+
+            for (const warning of item.warnings) {
+                const li = document.createElement('li');
+                li.className = `report-item report-${warning.kind}`;
+                li.textContent = ConversionReport.format(warning);
+                li.title = warning.kind === 'dropped' ? 'Content dropped' : 'Content approximated';
+                entries.push(li);
+            }
         }
+
+        this.reportTitle.textContent = 'Conversion report: some content was dropped or approximated';
+        this.reportList.replaceChildren(...entries);
+    }
+
+    handleDownloadReport() {
+        const done = this.queue.filter(item => item.status === 'done');
+        const report = ConversionReport.toJSON(done.map(item => ({
+            file: item.file.name,
+            warnings: item.warnings
+        })));
+
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, done.length === 1 ? done[0].outputFilename.replace(/\.(udf|zip)$/i, '-report.json') : 'udf-report.json');
+    }
+
+    async handleDownload() {
+        const done = this.queue.filter(item => item.status === 'done');
+        if (done.length === 1 && !done[0].outputs) {
+            downloadBlob(done[0].blob, done[0].outputFilename);
+        } else if (done.length > 0) {
+            downloadBlob(await this.createZipBundle(done), 'udf-files.zip');
+        }
+    }
+
+    async createZipBundle(items) {
+        const zip = new JSZip();
+        const usedNames = new Set();
+
+        // Merged templates contribute one file per record
+        for (const output of items.flatMap(item => item.outputs || [item])) {
+            // Files with the same name from different folders get a numbered suffix
+            let filename = output.outputFilename;
+            for (let n = 2; usedNames.has(filename.toLowerCase()); n++) {
+                filename = output.outputFilename.replace(/\.udf$/i, ` (${n}).udf`);
+            }
+            usedNames.add(filename.toLowerCase());
+            zip.file(filename, output.blob);
+        }
+
+        return await zip.generateAsync({ type: 'blob' });
     }
 
     handleConvertAnother() {
         // Reset state
-        this.selectedFile = null;
-        this.convertedBlob = null;
+        this.queue = [];
         this.fileInput.value = '';
+        this.hidePreview();
 
         // Reset UI
         this.downloadSection.classList.add('hidden');
-        this.uploadZone.classList.remove('hidden');
+        this.reportSection.classList.add('hidden');
         this.convertBtn.classList.remove('hidden');
-        this.convertBtn.disabled = true;
         this.progressFill.style.width = '0%';
         this.hideError();
+        this.renderQueue();
     }
 
     showError(message) {
@@ -0,0 +1,88 @@
+/**
+ * Conversion Report Module
+ * Collects warnings about content that was dropped or approximated during conversion
+ */
+
+class ConversionReport {
+    /**
+     * @param {Array} [warnings] - Warnings collected by an earlier stage (e.g. the parser)
+     */
+    constructor(warnings = []) {
+        this.warnings = [];
+        this.index = {};
+
+        for (const warning of warnings) {
+            this.addWarning(Object.assign({}, warning, { locations: [...(warning.locations || [])] }));
+        }
+    }
+
+    /**
+     * Record a warning; repeated warnings with the same code and message are counted once
+     * @param {string} kind - 'dropped' (content lost) or 'approximated' (content changed)
+     * @param {string} code - Stable identifier (e.g. 'text-box', 'comment')
+     * @param {string} message - Human-readable description
+     * @param {string|null} [location] - Where it happened (e.g. 'page 3, paragraph 12')
+     */
+    add(kind, code, message, location = null) {
+        this.addWarning({
+            kind: kind,
+            code: code,
+            message: message,
+            count: 1,
+            locations: location ? [location] : []
+        });
+    }
+
+    /**
+     * Add or merge a complete warning object
+     * @param {Object} warning - Warning with kind, code, message, count and locations
+     */
+    addWarning(warning) {
+        const key = `${warning.code}|${warning.message}`;
+        const existing = this.index[key];
+
+        if (!existing) {
+            this.index[key] = warning;
+            this.warnings.push(warning);
+            return;
+        }
+
+        existing.count += warning.count;
+        for (const location of warning.locations) {
+            // Keep the list short for warnings that repeat all over a document
+            if (existing.locations.length < ConversionReport.MAX_LOCATIONS && !existing.locations.includes(location)) {
+                existing.locations.push(location);
+            }
+        }
+    }
+
+    /**
+     * Build the JSON document offered for download / written by the CLI
+     * @param {Array<{file: string, warnings: Array}>} files - Warnings per converted file
+     * @returns {Object} Report
+     */
+    static toJSON(files) {
+        return {
+            generatedAt: new Date().toISOString(),
+            files: files.map(({ file, warnings }) => ({
+                file: file,
+                warningCount: warnings.reduce((total, warning) => total + warning.count, 0),
+                warnings: warnings
+            }))
+        };
+    }
+
+    /**
+     * Format a warning as a single line
+     * @param {Object} warning - Warning object
+     * @returns {string} Description with count and locations
+     */
+    static format(warning) {
+        let text = warning.message;
+        if (warning.count > 1) text += ` (×${warning.count})`;
+        if (warning.locations.length > 0) text += ` — ${warning.locations.join('; ')}`;
+        return text;
+    }
+}
+
+ConversionReport.MAX_LOCATIONS = 10;
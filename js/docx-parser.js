@@ -4,12 +4,44 @@
  */
 
 class DocxParser {
-    constructor() {
+    /**
+     * @param {Object} [options] - Conversion options
+     * @param {string} [options.trackChanges] - Tracked changes: 'accept' (all), 'reject' (all)
+     *        or 'markup' (show insertions underlined and deletions struck through)
+     * @param {string} [options.comments] - Comments: 'strip' (filing copies) or 'export'
+     *        (marker in the text, listed in an annotated section at the end)
+     * @param {string} [options.placeholders] - Placeholder text of unfilled content controls: 'keep',
+     *        'remove' or 'blank' (a fill-in line)
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DocxParser.DEFAULT_OPTIONS, options);
         this.zip = null;
         this.document = null;
         this.relationships = {};
         this.images = {};
         this.footnotes = {};
+        this.endnotes = {};
+        this.noteSources = []; // Note elements waiting to be parsed after the body
+        this.comments = {};
+        this.bookmarks = {};
+        this.fields = [];
+        this.simpleFields = new Map();
+        this.sequences = {};
+        this.coreProperties = {};
+        this.numbering = {};
+        this.listCounters = {};
+        this.listIds = {};
+        this.styles = new StyleResolver();
+        this.themeFonts = { major: {}, minor: {} };
+        this.report = new ConversionReport();
+        this.location = { part: 'body', page: 1, paragraph: 0 };
+        this.usesRenderedPageBreaks = false;
+        this.cellFormatting = []; // Table style formatting of the cells being parsed, innermost last
+        this.pageSetup = null;
+        this.sections = [];
+        this.pendingBookmarks = []; // Block-level bookmarks, attached to the next paragraph
+        this.blockPlaceholder = null; // Block-level content control showing placeholder text being parsed
+        this.placeholders = new Set(); // Placeholder content controls already reported
     }
 
     /**
@@ -18,6 +50,32 @@ class DocxParser {
      * @returns {Promise<Object>} Parsed document structure
      */
     async parse(file) {
+        // Reset state
+        this.relationships = {};
+        this.images = {};
+        this.footnotes = {};
+        this.endnotes = {};
+        this.noteSources = [];
+        this.comments = {};
+        this.bookmarks = {};
+        this.fields = [];
+        this.simpleFields = new Map();
+        this.sequences = {};
+        this.coreProperties = {};
+        this.numbering = {};
+        this.listCounters = {};
+        this.listIds = {};
+        this.styles = new StyleResolver();
+        this.report = new ConversionReport();
+        this.location = { part: 'body', page: 1, paragraph: 0 };
+        this.usesRenderedPageBreaks = false;
+        this.cellFormatting = [];
+        this.pageSetup = null;
+        this.sections = [];
+        this.pendingBookmarks = [];
+        this.blockPlaceholder = null;
+        this.placeholders = new Set();
+
         try {
             // Load the DOCX as a ZIP
             this.zip = await JSZip.loadAsync(file);
@@ -28,20 +86,55 @@ class DocxParser {
             // Extract images
             await this.extractImages();
 
-            // Parse footnotes
-            await this.parseFootnotes();
+            // Parse styles (needed before any paragraph is parsed)
+            await this.parseStyles();
+
+            // Theme fonts, referenced by w:rFonts asciiTheme/hAnsiTheme/cstheme
+            await this.parseTheme();
+
+            // Load footnotes and endnotes (references to them are resolved while parsing the body)
+            this.footnotes = await this.loadNotes('footnote');
+            this.endnotes = await this.loadNotes('endnote');
+
+            // Parse list definitions
+            await this.parseNumbering();
 
             // Parse the main document content
             const documentXml = await this.zip.file('word/document.xml').async('string');
             this.document = parseXml(documentXml);
 
+            // Parse comments (their anchors are read from the document)
+            if (this.options.comments === 'export') {
+                await this.parseComments();
+            }
+
+            // Bookmarked text and document dates, for REF and date fields
+            this.bookmarks = this.collectBookmarks();
+            await this.parseCoreProperties();
+
+            // Page size and margins place floating images
+            this.pageSetup = this.parsePageSetup(this.getFirstSectionProperties());
+
             // Extract document elements
             const elements = await this.extractElements();
 
+            // Headers and footers are parsed after the body so list counters follow body order
+            const { headers, footers } = await this.parseHeadersFooters();
+
+            // Note content last, again so list and sequence counters follow body order
+            await this.parseNotes();
+
             return {
                 elements: elements,
+                pageSetup: this.pageSetup,
+                sections: this.sections,
+                headers: headers,
+                footers: footers,
                 images: this.images,
-                footnotes: this.footnotes
+                footnotes: this.footnotes,
+                endnotes: this.endnotes,
+                comments: this.comments,
+                warnings: this.report.warnings
             };
         } catch (error) {
             console.error('Error parsing DOCX:', error);
@@ -53,283 +146,1717 @@ class DocxParser {
      * Parse document relationships
      */
     async parseRelationships() {
-        const relsFile = this.zip.file('word/_rels/document.xml.rels');
-        if (!relsFile) return;
+        this.relationships = await this.loadRelationships('word/document.xml');
+    }
+
+    /**
+     * Load the relationships of a package part
+     * @param {string} partPath - Path of the part (e.g. word/header1.xml)
+     * @returns {Promise<Object>} Relationships keyed by id
+     */
+    async loadRelationships(partPath) {
+        const slash = partPath.lastIndexOf('/');
+        const relsPath = `${partPath.substring(0, slash)}/_rels/${partPath.substring(slash + 1)}.rels`;
+        const relsFile = this.zip.file(relsPath);
+        if (!relsFile) return {};
 
         const relsXml = await relsFile.async('string');
         const relsDoc = parseXml(relsXml);
         const relationships = relsDoc.getElementsByTagName('Relationship');
+        const result = {};
 
         for (const rel of relationships) {
             const id = rel.getAttribute('Id');
             const target = rel.getAttribute('Target');
             const type = rel.getAttribute('Type');
-            this.relationships[id] = { target, type };
+            result[id] = { target, type };
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolve a relationship target to a path inside the package
+     * @param {string} target - Relationship target (relative to word/ or absolute)
+     * @returns {string} Package path
+     */
+    resolvePartPath(target) {
+        return target.startsWith('/') ? target.substring(1) : `word/${target}`;
+    }
+
+    /**
+     * Extract embedded images
+     */
+    async extractImages() {
+        const mediaFolder = this.zip.folder('word/media');
+        if (!mediaFolder) return;
+
+        const mediaFiles = [];
+        this.zip.forEach((relativePath, file) => {
+            if (relativePath.startsWith('word/media/')) {
+                mediaFiles.push({ path: relativePath, file });
+            }
+        });
+
+        for (const { path, file } of mediaFiles) {
+            const data = await file.async('arraybuffer');
+            const base64 = arrayBufferToBase64(data);
+            const filename = path.replace('word/media/', '');
+            this.images[filename] = base64;
+        }
+    }
+
+    /**
+     * Parse style definitions from word/styles.xml
+     */
+    async parseStyles() {
+        const stylesFile = this.zip.file('word/styles.xml');
+        if (!stylesFile) return;
+
+        try {
+            const stylesXml = await stylesFile.async('string');
+            this.styles.load(parseXml(stylesXml));
+        } catch (error) {
+            console.warn('Could not parse styles:', error);
+        }
+    }
+
+    /**
+     * Read the major (headings) and minor (body) fonts of word/theme/theme1.xml
+     */
+    async parseTheme() {
+        const themeFile = this.zip.file('word/theme/theme1.xml');
+        if (!themeFile) return;
+
+        try {
+            const themeDoc = parseXml(await themeFile.async('string'));
+            for (const kind of ['major', 'minor']) {
+                const font = themeDoc.getElementsByTagNameNS(DRAWING_NS, `${kind}Font`)[0];
+                if (!font) continue;
+
+                // Latin, East Asian and complex script typefaces (an empty typeface means none)
+                for (const script of ['latin', 'ea', 'cs']) {
+                    const el = getChildElements(font, script, DRAWING_NS)[0];
+                    const typeface = el ? el.getAttribute('typeface') : null;
+                    if (typeface) this.themeFonts[kind][script] = typeface;
+                }
+            }
+        } catch (error) {
+            console.warn('Could not parse theme:', error);
+        }
+    }
+
+    /**
+     * Resolve a theme font reference (w:asciiTheme="minorHAnsi", w:cstheme="majorBidi", ...)
+     * @param {string|null} reference - Theme font name
+     * @returns {string|null} Typeface, or null when the theme does not define it
+     */
+    resolveThemeFont(reference) {
+        const match = /^(major|minor)(Ascii|HAnsi|EastAsia|Bidi)$/.exec(reference || '');
+        if (!match) return null;
+
+        const script = { Ascii: 'latin', HAnsi: 'latin', EastAsia: 'ea', Bidi: 'cs' }[match[2]];
+        return this.themeFonts[match[1]][script] || null;
+    }
+
+    /**
+     * Load the notes of word/footnotes.xml or word/endnotes.xml; their content is parsed after the body
+     * @param {string} kind - 'footnote' or 'endnote'
+     * @returns {Promise<Object>} Notes keyed by w:id, each {id, kind, elements}
+     */
+    async loadNotes(kind) {
+        const notes = {};
+        const partPath = `word/${kind}s.xml`;
+        const notesFile = this.zip.file(partPath);
+        if (!notesFile) return notes;
+
+        try {
+            const notesDoc = parseXml(await notesFile.async('string'));
+            const sources = [];
+
+            for (const note of notesDoc.getElementsByTagNameNS(WORD_NS, kind)) {
+                // Skip the separator, continuation separator and continuation notice
+                const type = note.getAttribute('w:type');
+                if (type && type !== 'normal') continue;
+
+                const id = note.getAttribute('w:id');
+                notes[id] = { id: id, kind: kind, elements: [] };
+                sources.push({ note: notes[id], element: note });
+            }
+
+            this.noteSources.push({ partPath: partPath, sources: sources });
+        } catch (error) {
+            console.warn(`Could not parse ${kind}s:`, error);
+        }
+
+        return notes;
+    }
+
+    /**
+     * Parse the content of the loaded footnotes and endnotes into paragraphs and tables
+     */
+    async parseNotes() {
+        for (const { partPath, sources } of this.noteSources) {
+            // Links and images in notes resolve against the notes part's relationships
+            const documentRelationships = this.relationships;
+            const documentLocation = this.location;
+            this.relationships = await this.loadRelationships(partPath);
+            try {
+                for (const { note, element } of sources) {
+                    this.location = { part: `${note.kind} ${note.id}`, page: 1, paragraph: 0 };
+                    note.elements = this.extractBlockElements(element);
+                }
+            } catch (error) {
+                console.warn(`Could not parse ${partPath}:`, error);
+            } finally {
+                this.relationships = documentRelationships;
+                this.location = documentLocation;
+            }
+        }
+    }
+
+    /**
+     * Parse comments from word/comments.xml, with the document text each one is anchored to
+     */
+    async parseComments() {
+        const commentsFile = this.zip.file('word/comments.xml');
+        if (!commentsFile) return;
+
+        try {
+            const commentsXml = await commentsFile.async('string');
+            const commentsDoc = parseXml(commentsXml);
+
+            for (const comment of commentsDoc.getElementsByTagNameNS(WORD_NS, 'comment')) {
+                const id = comment.getAttribute('w:id');
+                const paragraphs = [];
+
+                for (const para of comment.getElementsByTagNameNS(WORD_NS, 'p')) {
+                    let text = '';
+                    for (const t of para.getElementsByTagNameNS(WORD_NS, 't')) {
+                        text += t.textContent || '';
+                    }
+                    if (text.trim()) paragraphs.push(text.trim());
+                }
+
+                this.comments[id] = {
+                    id: id,
+                    author: comment.getAttribute('w:author') || '',
+                    initials: comment.getAttribute('w:initials') || '',
+                    date: comment.getAttribute('w:date') || null,
+                    text: paragraphs.join(' '),
+                    anchorText: ''
+                };
+            }
+
+            const anchors = this.collectRangeText(this.document.documentElement, 'commentRangeStart', 'commentRangeEnd');
+            for (const id in this.comments) {
+                this.comments[id].anchorText = (anchors[id] || '').trim();
+            }
+        } catch (error) {
+            console.warn('Could not parse comments:', error);
+        }
+    }
+
+    /**
+     * Collect the text between range start and end markers (comment ranges, bookmarks) in document order,
+     * keeping only the tracked changes the conversion keeps
+     * @param {Element} element - Element to walk
+     * @param {string} startName - Local name of the start marker (e.g. 'commentRangeStart')
+     * @param {string} endName - Local name of the end marker (e.g. 'commentRangeEnd')
+     * @param {Object} [texts] - Collected text keyed by w:id
+     * @param {Set<string>} [open] - Ids of the ranges open at this point
+     * @param {{inserted: boolean, deleted: boolean}|null} [revision] - Tracked change wrapping the element
+     * @returns {Object} Collected text keyed by w:id
+     */
+    collectRangeText(element, startName, endName, texts = {}, open = new Set(), revision = null) {
+        for (const child of element.children) {
+            const localName = child.namespaceURI === WORD_NS ? child.localName : null;
+            const id = localName ? child.getAttribute('w:id') : null;
+
+            if (localName === startName) {
+                texts[id] = texts[id] || '';
+                open.add(id);
+            } else if (localName === endName) {
+                open.delete(id);
+            } else if (localName === 't' || localName === 'delText') {
+                if (revision && !this.includeRevision(revision)) continue;
+                for (const openId of open) {
+                    texts[openId] += child.textContent || '';
+                }
+            } else if (!this.isUnusedFallback([child])) {
+                // Nested tracked changes add up (text inserted, then deleted, is both)
+                const childRevision = this.classifyRevision([child]);
+                const combined = childRevision && revision ? {
+                    inserted: childRevision.inserted || revision.inserted,
+                    deleted: childRevision.deleted || revision.deleted
+                } : childRevision || revision;
+                this.collectRangeText(child, startName, endName, texts, open, combined);
+
+                // Ranges spanning paragraphs keep a space between them
+                if (localName === 'p') {
+                    for (const openId of open) {
+                        texts[openId] += ' ';
+                    }
+                }
+            }
+        }
+
+        return texts;
+    }
+
+    /**
+     * Collect the text of each bookmark in the document body
+     * @returns {Object} Bookmarked text keyed by bookmark name
+     */
+    collectBookmarks() {
+        const texts = this.collectRangeText(this.document.documentElement, 'bookmarkStart', 'bookmarkEnd');
+        const bookmarks = {};
+
+        for (const start of this.document.getElementsByTagNameNS(WORD_NS, 'bookmarkStart')) {
+            const name = start.getAttribute('w:name');
+            if (name) bookmarks[name] = (texts[start.getAttribute('w:id')] || '').trim();
+        }
+
+        return bookmarks;
+    }
+
+    /**
+     * Read the creation and last-saved dates from docProps/core.xml
+     */
+    async parseCoreProperties() {
+        const coreFile = this.zip.file('docProps/core.xml');
+        if (!coreFile) return;
+
+        try {
+            const coreDoc = parseXml(await coreFile.async('string'));
+            for (const name of ['created', 'modified']) {
+                const element = coreDoc.getElementsByTagNameNS(DCTERMS_NS, name)[0];
+                const date = element ? new Date(element.textContent.trim()) : null;
+                if (date && !isNaN(date.getTime())) this.coreProperties[name] = date;
+            }
+        } catch (error) {
+            console.warn('Could not parse document properties:', error);
+        }
+    }
+
+    /**
+     * Parse list definitions from word/numbering.xml
+     * Resolves each w:num to its w:abstractNum levels, applying level overrides
+     */
+    async parseNumbering() {
+        const numberingFile = this.zip.file('word/numbering.xml');
+        if (!numberingFile) return;
+
+        try {
+            const numberingXml = await numberingFile.async('string');
+            const numberingDoc = parseXml(numberingXml);
+
+            // Abstract definitions hold the per-level formats
+            const abstractNums = {};
+            for (const abstractNum of numberingDoc.getElementsByTagNameNS(WORD_NS, 'abstractNum')) {
+                const abstractNumId = abstractNum.getAttribute('w:abstractNumId');
+                const levels = {};
+                for (const lvl of getChildElements(abstractNum, 'lvl')) {
+                    const level = this.parseNumberingLevel(lvl);
+                    levels[level.level] = level;
+                }
+                abstractNums[abstractNumId] = levels;
+            }
+
+            // Concrete instances reference an abstract definition and may override levels
+            for (const num of numberingDoc.getElementsByTagNameNS(WORD_NS, 'num')) {
+                const numId = num.getAttribute('w:numId');
+                const abstractNumIdEl = getChildElements(num, 'abstractNumId')[0];
+                const abstractNumId = abstractNumIdEl ? abstractNumIdEl.getAttribute('w:val') : null;
+                const levels = Object.assign({}, abstractNums[abstractNumId] || {});
+                let hasOverride = false;
+
+                for (const override of getChildElements(num, 'lvlOverride')) {
+                    const ilvl = parseInt(override.getAttribute('w:ilvl') || '0');
+
+                    const lvl = getChildElements(override, 'lvl')[0];
+                    if (lvl) {
+                        levels[ilvl] = this.parseNumberingLevel(lvl);
+                        hasOverride = true;
+                    }
+
+                    const startOverride = getChildElements(override, 'startOverride')[0];
+                    if (startOverride) {
+                        levels[ilvl] = Object.assign({}, levels[ilvl] || this.parseNumberingLevel(null, ilvl), {
+                            start: parseInt(startOverride.getAttribute('w:val') || '1')
+                        });
+                        hasOverride = true;
+                    }
+                }
+
+                // Instances without overrides continue the abstract list (Word behaviour),
+                // instances with overrides start a list of their own
+                this.numbering[numId] = {
+                    listKey: hasOverride ? `num:${numId}` : `abstract:${abstractNumId}`,
+                    levels: levels
+                };
+            }
+        } catch (error) {
+            console.warn('Could not parse numbering:', error);
+        }
+    }
+
+    /**
+     * Parse a single w:lvl numbering level
+     * @param {Element|null} lvl - The level element
+     * @param {number} ilvl - Level index to use when no element is given
+     * @returns {Object} Level definition
+     */
+    parseNumberingLevel(lvl, ilvl = 0) {
+        const level = {
+            level: ilvl,
+            format: 'decimal',
+            text: `%${ilvl + 1}.`,
+            start: 1,
+            restart: null,
+            isLegal: false
+        };
+        if (!lvl) return level;
+
+        level.level = parseInt(lvl.getAttribute('w:ilvl') || '0');
+        level.text = `%${level.level + 1}.`;
+
+        const start = getChildElements(lvl, 'start')[0];
+        if (start) level.start = parseInt(start.getAttribute('w:val') || '1');
+
+        const numFmt = getChildElements(lvl, 'numFmt')[0];
+        if (numFmt) level.format = numFmt.getAttribute('w:val') || 'decimal';
+
+        const lvlText = getChildElements(lvl, 'lvlText')[0];
+        if (lvlText) level.text = lvlText.getAttribute('w:val') || '';
+
+        const lvlRestart = getChildElements(lvl, 'lvlRestart')[0];
+        if (lvlRestart) level.restart = parseInt(lvlRestart.getAttribute('w:val') || '0');
+
+        const isLgl = getChildElements(lvl, 'isLgl')[0];
+        if (isLgl && isLgl.getAttribute('w:val') !== 'false' && isLgl.getAttribute('w:val') !== '0') {
+            level.isLegal = true;
+        }
+
+        return level;
+    }
+
+    /**
+     * Resolve a paragraph's numPr against the list definitions and advance the list counters
+     * @param {string} numId - The w:numId value
+     * @param {number} ilvl - The list level
+     * @returns {Object|null} Resolved numbering, or null when numbering is removed
+     */
+    resolveNumbering(numId, ilvl) {
+        // numId 0 explicitly removes numbering
+        if (!numId || numId === '0') return null;
+
+        const definition = this.numbering[numId] || { listKey: `num:${numId}`, levels: {} };
+        const level = definition.levels[ilvl] || this.parseNumberingLevel(null, ilvl);
+
+        // Counters are shared by every paragraph of the same list, including those in tables
+        const listKey = definition.listKey;
+        if (!this.listCounters[listKey]) {
+            this.listCounters[listKey] = [];
+            this.listIds[listKey] = Object.keys(this.listIds).length + 1;
+        }
+        const counters = this.listCounters[listKey];
+
+        counters[ilvl] = counters[ilvl] === undefined ? level.start : counters[ilvl] + 1;
+
+        // Restart deeper levels unless their lvlRestart says otherwise
+        for (let deeper = ilvl + 1; deeper < counters.length; deeper++) {
+            const restart = definition.levels[deeper] ? definition.levels[deeper].restart : null;
+            if (restart === 0) continue; // Never restarts
+            const restartAfter = restart === null ? deeper - 1 : restart - 1;
+            if (ilvl <= restartAfter) counters[deeper] = undefined;
+        }
+
+        // Build the visible label from the level text (e.g. "%1.%2)")
+        const label = level.format === 'bullet' ? level.text : level.text.replace(/%(\d)/g, (match, n) => {
+            const refLevel = parseInt(n) - 1;
+            const refDefinition = definition.levels[refLevel] || this.parseNumberingLevel(null, refLevel);
+            const value = counters[refLevel] !== undefined ? counters[refLevel] : refDefinition.start;
+            const format = level.isLegal ? 'decimal' : refDefinition.format;
+            return formatListNumber(value, format);
+        });
+
+        return {
+            level: ilvl,
+            numId: numId,
+            listId: this.listIds[listKey],
+            format: level.format,
+            levelText: level.text,
+            start: level.start,
+            value: counters[ilvl],
+            label: label
+        };
+    }
+
+    /**
+     * Extract all document elements
+     * @returns {Array} Array of document elements
+     */
+    async extractElements() {
+        const body = this.document.getElementsByTagNameNS(WORD_NS, 'body')[0];
+        if (!body) return [];
+
+        // Word records where pages began when it last laid out the document; use those for
+        // page numbers in warnings when present, otherwise count explicit page breaks
+        this.usesRenderedPageBreaks = body.getElementsByTagNameNS(WORD_NS, 'lastRenderedPageBreak').length > 0;
+
+        const elements = this.extractBlockElements(body);
+
+        // The body's own w:sectPr describes the last section
+        const sectPr = getChildElements(body, 'sectPr')[0];
+        if (sectPr) this.sections.push(this.parseSection(sectPr));
+        this.pendingBookmarks = [];
+
+        return elements;
+    }
+
+    /**
+     * Extract the block-level elements (paragraphs, tables) of a container
+     * @param {Element} container - w:body, w:hdr, w:ftr or similar
+     * @returns {Array} Array of document elements
+     */
+    extractBlockElements(container) {
+        const elements = [];
+
+        for (const child of container.children) {
+            const localName = child.localName;
+
+            if (localName === 'p') {
+                elements.push(this.parseParagraph(child));
+            } else if (localName === 'tbl') {
+                elements.push(this.parseTable(child));
+            } else if (localName === 'sdt') {
+                elements.push(...this.extractContentControl(child));
+            } else if (localName === 'customXml') {
+                // Custom XML markup only tags its content
+                elements.push(...this.extractBlockElements(child));
+            } else if (localName === 'bookmarkStart') {
+                const name = child.getAttribute('w:name');
+                if (name && name !== '_GoBack') this.pendingBookmarks.push(name);
+            } else if (localName === 'altChunk') {
+                this.warn('dropped', 'alt-chunk', 'Embedded document (altChunk) skipped');
+            } else if (localName !== 'sectPr' && (child.textContent || '').trim()) {
+                this.warn('dropped', 'unsupported-block', `Unsupported <w:${localName}> content skipped`);
+            }
+        }
+
+        return this.mergeRemovedParagraphMarks(elements);
+    }
+
+    /**
+     * Extract the block-level content of a content control (w:sdt)
+     * @param {Element} sdt - The w:sdt element
+     * @returns {Array} Array of document elements
+     */
+    extractContentControl(sdt) {
+        const sdtContent = getChildElements(sdt, 'sdtContent')[0];
+        if (!sdtContent) return [];
+        if (!this.isPlaceholder(sdt)) return this.extractBlockElements(sdtContent);
+
+        if (this.options.placeholders === 'remove') {
+            this.reportPlaceholder(sdt);
+            return [];
+        }
+
+        const previous = this.blockPlaceholder;
+        this.blockPlaceholder = sdt;
+        try {
+            return this.extractBlockElements(sdtContent);
+        } finally {
+            this.blockPlaceholder = previous;
+        }
+    }
+
+    /**
+     * Check whether a content control shows its placeholder text (it was never filled in)
+     * @param {Element} sdt - The w:sdt element
+     * @returns {boolean} True when w:showingPlcHdr is set
+     */
+    isPlaceholder(sdt) {
+        const sdtPr = getChildElements(sdt, 'sdtPr')[0];
+        const showing = sdtPr ? getChildElements(sdtPr, 'showingPlcHdr')[0] : null;
+        return !!showing && this.isToggleOn(showing);
+    }
+
+    /**
+     * Report an unfilled content control once, with what was done to its placeholder text
+     * @param {Element} sdt - The w:sdt element
+     * @returns {boolean} True the first time the content control is seen
+     */
+    reportPlaceholder(sdt) {
+        if (this.placeholders.has(sdt)) return false;
+        this.placeholders.add(sdt);
+
+        const actions = { keep: 'kept', remove: 'removed', blank: 'replaced by a fill-in line' };
+        this.warn('approximated', 'placeholder',
+            `Placeholder text of an unfilled content control ${actions[this.options.placeholders] || actions.keep}`);
+        return true;
+    }
+
+    /**
+     * Read the page setup and start type of a section
+     * @param {Element} sectPr - The w:sectPr element
+     * @returns {{pageSetup: Object|null, start: string}} Section, start being 'nextPage', 'continuous',
+     *          'evenPage', 'oddPage' or 'nextColumn'
+     */
+    parseSection(sectPr) {
+        const type = getChildElements(sectPr, 'type')[0];
+        return {
+            pageSetup: this.parsePageSetup(sectPr),
+            start: (type && type.getAttribute('w:val')) || 'nextPage'
+        };
+    }
+
+    /**
+     * Get the child elements with a local name, looking through row- and cell-level content
+     * controls and custom XML
+     * @param {Element} element - Parent element (w:tbl or w:tr)
+     * @param {string} localName - Local name of the wanted children ('tr' or 'tc')
+     * @returns {Element[]} Matching elements in document order
+     */
+    getContentChildren(element, localName) {
+        const children = [];
+
+        for (const child of element.children) {
+            if (child.namespaceURI !== WORD_NS) continue;
+
+            if (child.localName === localName) {
+                children.push(child);
+            } else if (child.localName === 'sdt') {
+                const sdtContent = getChildElements(child, 'sdtContent')[0];
+                if (sdtContent) children.push(...this.getContentChildren(sdtContent, localName));
+            } else if (child.localName === 'customXml') {
+                children.push(...this.getContentChildren(child, localName));
+            }
+        }
+
+        return children;
+    }
+
+    /**
+     * Join paragraphs whose paragraph mark is removed by the tracked-changes mode with the
+     * following paragraph (an accepted deletion or a rejected insertion of the mark)
+     * @param {Array} elements - Parsed block elements
+     * @returns {Array} Block elements with the removed paragraph marks merged away
+     */
+    mergeRemovedParagraphMarks(elements) {
+        const merged = [];
+
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+            const next = elements[i + 1];
+
+            // The following paragraph keeps its own mark, and with it its properties
+            if (element.type === 'paragraph' && element.markRemoved && next && next.type === 'paragraph') {
+                next.runs.unshift(...element.runs);
+                continue;
+            }
+            merged.push(element);
         }
+
+        return merged;
+    }
+
+    /**
+     * Record a conversion warning at the current location
+     * @param {string} kind - 'dropped' or 'approximated'
+     * @param {string} code - Warning identifier
+     * @param {string} message - Description
+     */
+    warn(kind, code, message) {
+        this.report.add(kind, code, message, this.getLocation());
+    }
+
+    /**
+     * Describe the current parse position for warnings
+     * @returns {string} Location (e.g. 'page 3, paragraph 12' or 'header (first)')
+     */
+    getLocation() {
+        if (this.location.part !== 'body') return this.location.part;
+        return `page ${this.location.page}, paragraph ${this.location.paragraph}`;
+    }
+
+    /**
+     * Get the section properties of the first section
+     * (the first paragraph-level w:sectPr, or the body's w:sectPr for single-section documents)
+     * @returns {Element|null} The w:sectPr element
+     */
+    getFirstSectionProperties() {
+        return this.document.getElementsByTagNameNS(WORD_NS, 'sectPr')[0] || null;
+    }
+
+    /**
+     * Parse page size, orientation and margins from section properties
+     * @param {Element|null} sectPr - The w:sectPr element
+     * @returns {Object|null} Page setup in points (only the values present in the DOCX)
+     */
+    parsePageSetup(sectPr) {
+        if (!sectPr) return null;
+
+        const pageSetup = {};
+        const toPoints = (val) => Math.abs(parseInt(val)) / 20;
+
+        const pgSz = getChildElements(sectPr, 'pgSz')[0];
+        if (pgSz) {
+            const w = pgSz.getAttribute('w:w');
+            const h = pgSz.getAttribute('w:h');
+            if (w) pageSetup.width = toPoints(w);
+            if (h) pageSetup.height = toPoints(h);
+
+            const orient = pgSz.getAttribute('w:orient');
+            if (orient) {
+                pageSetup.orientation = orient;
+            } else if (pageSetup.width && pageSetup.height) {
+                pageSetup.orientation = pageSetup.width > pageSetup.height ? 'landscape' : 'portrait';
+            }
+        }
+
+        const pgMar = getChildElements(sectPr, 'pgMar')[0];
+        if (pgMar) {
+            const margins = {
+                top: 'topMargin',
+                right: 'rightMargin',
+                bottom: 'bottomMargin',
+                left: 'leftMargin',
+                header: 'headerDistance',
+                footer: 'footerDistance'
+            };
+            for (const [attr, key] of Object.entries(margins)) {
+                const val = pgMar.getAttribute(`w:${attr}`);
+                if (val) pageSetup[key] = toPoints(val);
+            }
+
+            // The gutter is extra binding space on the left
+            const gutter = pgMar.getAttribute('w:gutter');
+            if (gutter && pageSetup.leftMargin !== undefined) {
+                pageSetup.leftMargin += toPoints(gutter);
+            }
+        }
+
+        return pageSetup;
+    }
+
+    /**
+     * Parse the headers and footers referenced by the first section
+     * @returns {Promise<Object>} Header and footer elements keyed by type (default, first, even)
+     */
+    async parseHeadersFooters() {
+        const headers = {};
+        const footers = {};
+        const sectPr = this.getFirstSectionProperties();
+        if (!sectPr) return { headers, footers };
+
+        // First-page variants only apply with w:titlePg, even-page variants with w:evenAndOddHeaders
+        const titlePg = getChildElements(sectPr, 'titlePg')[0];
+        const hasTitlePage = !!titlePg && this.isToggleOn(titlePg);
+        const hasEvenAndOdd = await this.hasEvenAndOddHeaders();
+
+        const references = [
+            ...getChildElements(sectPr, 'headerReference').map(el => ({ el, target: headers })),
+            ...getChildElements(sectPr, 'footerReference').map(el => ({ el, target: footers }))
+        ];
+
+        // Later sections may define their own headers/footers, which UDF cannot switch to
+        const sections = this.document.getElementsByTagNameNS(WORD_NS, 'sectPr');
+        for (let i = 1; i < sections.length; i++) {
+            const sectionRefs = [
+                ...getChildElements(sections[i], 'headerReference'),
+                ...getChildElements(sections[i], 'footerReference')
+            ];
+            if (sectionRefs.length > 0) {
+                this.report.add('dropped', 'section-headers', 'Headers/footers of later sections ignored', `section ${i + 1}`);
+            }
+        }
+
+        for (const { el, target } of references) {
+            const type = el.getAttribute('w:type') || 'default';
+            if (type === 'first' && !hasTitlePage) continue;
+            if (type === 'even' && !hasEvenAndOdd) continue;
+
+            const rId = el.getAttributeNS(RELATIONSHIPS_NS, 'id') || el.getAttribute('r:id');
+            const relationship = this.relationships[rId];
+            if (!relationship) continue;
+
+            try {
+                const partName = `${target === headers ? 'header' : 'footer'} (${type})`;
+                target[type] = await this.parsePart(this.resolvePartPath(relationship.target), partName);
+            } catch (error) {
+                console.warn(`Could not parse ${type} header/footer:`, error);
+            }
+        }
+
+        return { headers, footers };
+    }
+
+    /**
+     * Check word/settings.xml for w:evenAndOddHeaders
+     * @returns {Promise<boolean>} True when even pages use their own headers/footers
+     */
+    async hasEvenAndOddHeaders() {
+        const settingsFile = this.zip.file('word/settings.xml');
+        if (!settingsFile) return false;
+
+        const settingsDoc = parseXml(await settingsFile.async('string'));
+        const evenAndOdd = settingsDoc.getElementsByTagNameNS(WORD_NS, 'evenAndOddHeaders')[0];
+        return !!evenAndOdd && this.isToggleOn(evenAndOdd);
+    }
+
+    /**
+     * Parse the block content of a secondary part (header, footer) with its own relationships
+     * @param {string} partPath - Package path of the part
+     * @param {string} partName - Name used as the location of warnings
+     * @returns {Promise<Array>} Array of document elements
+     */
+    async parsePart(partPath, partName) {
+        const partFile = this.zip.file(partPath);
+        if (!partFile) return [];
+
+        const partDoc = parseXml(await partFile.async('string'));
+
+        // Image references in the part resolve against the part's own relationships
+        const documentRelationships = this.relationships;
+        const documentLocation = this.location;
+        this.relationships = await this.loadRelationships(partPath);
+        this.location = { part: partName, page: 1, paragraph: 0 };
+        try {
+            return this.extractBlockElements(partDoc.documentElement);
+        } finally {
+            this.relationships = documentRelationships;
+            this.location = documentLocation;
+        }
+    }
+
+    /**
+     * Parse a paragraph element
+     * @param {Element} para - The paragraph element
+     * @returns {Object} Parsed paragraph
+     */
+    parseParagraph(para) {
+        this.location.paragraph++;
+
+        const paragraph = {
+            type: 'paragraph',
+            alignment: 'left',
+            runs: [],
+            numbering: null,
+            styleId: null
+        };
+
+        // Direct paragraph properties and the referenced paragraph style
+        const pPr = getChildElements(para, 'pPr')[0];
+        const pStyle = pPr ? getChildElements(pPr, 'pStyle')[0] : null;
+        if (pStyle) {
+            paragraph.styleId = pStyle.getAttribute('w:val');
+        }
+
+        // Effective properties: docDefaults < table style < style chain < direct formatting
+        const cellFormatting = this.cellFormatting[this.cellFormatting.length - 1];
+        const propertyChain = this.styles.getParagraphPropertyChain(
+            paragraph.styleId,
+            cellFormatting ? cellFormatting.pPr : []
+        );
+        const directProperties = pPr ? this.getRevisedProperties(pPr, 'pPrChange') : null;
+        if (directProperties) propertyChain.push(directProperties);
+        const properties = Object.assign({}, ...propertyChain.map(el => this.parseParagraphProperties(el)));
+
+        if (properties.alignment) paragraph.alignment = properties.alignment;
+        if (properties.leftIndent !== undefined) paragraph.leftIndent = properties.leftIndent;
+        if (properties.rightIndent !== undefined) paragraph.rightIndent = properties.rightIndent;
+        if (properties.firstLineIndent !== undefined) paragraph.firstLineIndent = properties.firstLineIndent;
+        if (properties.spaceBefore !== undefined) paragraph.spaceBefore = properties.spaceBefore;
+        if (properties.spaceAfter !== undefined) paragraph.spaceAfter = properties.spaceAfter;
+        if (properties.lineSpacing !== undefined) paragraph.lineSpacing = properties.lineSpacing;
+        const tabStops = this.resolveTabStops(propertyChain);
+        if (tabStops.length > 0) paragraph.tabStops = tabStops;
+        if (properties.keepNext) paragraph.keepNext = true;
+        if (properties.keepLines) paragraph.keepLines = true;
+        if (properties.pageBreakBefore) {
+            paragraph.pageBreakBefore = true;
+            if (!this.usesRenderedPageBreaks) this.location.page++;
+        }
+        if (properties.lineRule === 'exact') {
+            this.warn('approximated', 'line-spacing', 'Exact line spacing written as a multiple of single spacing');
+        }
+
+        // A paragraph-level w:sectPr closes a section after this paragraph
+        const sectPr = pPr ? getChildElements(pPr, 'sectPr')[0] : null;
+        if (sectPr) {
+            paragraph.sectionEnd = true;
+            this.sections.push(this.parseSection(sectPr));
+        }
+
+        // Bookmarks starting in this paragraph or just before it
+        const bookmarks = [...this.pendingBookmarks];
+        this.pendingBookmarks = [];
+        for (const start of para.getElementsByTagNameNS(WORD_NS, 'bookmarkStart')) {
+            const name = start.getAttribute('w:name');
+            if (name && name !== '_GoBack') bookmarks.push(name);
+        }
+        if (bookmarks.length > 0) paragraph.bookmarks = bookmarks;
+
+        // Numbering
+        if (properties.numId !== undefined) {
+            paragraph.numbering = this.resolveNumbering(properties.numId, properties.numLevel || 0);
+        }
+
+        // A tracked insertion or deletion of the paragraph mark joins this paragraph with the next
+        const markProperties = pPr ? getChildElements(pPr, 'rPr')[0] : null;
+        const markRevision = markProperties ? this.getMarkerRevision(markProperties) : null;
+        if (markRevision && !this.includeRevision(markRevision)) {
+            paragraph.markRemoved = true;
+        }
+
+        this.reportRevisions(para);
+
+        // Get runs (text with formatting), keeping only those the tracked-changes mode includes
+        const runs = para.getElementsByTagNameNS(WORD_NS, 'r');
+        for (const run of runs) {
+            const wrappers = this.getRunWrappers(run, para);
+            const revision = this.classifyRevision(wrappers);
+            if (revision && !this.includeRevision(revision)) continue;
+
+            // A text box saved as mc:AlternateContent holds its text in both alternatives
+            if (this.isUnusedFallback(wrappers)) continue;
+
+            // Placeholder text of unfilled content controls (block-level or inline)
+            const placeholder = wrappers.find(wrapper => wrapper.localName === 'sdt' && this.isPlaceholder(wrapper)) ||
+                this.blockPlaceholder;
+            if (placeholder) {
+                const first = this.reportPlaceholder(placeholder);
+                if (this.options.placeholders === 'remove') continue;
+                if (this.options.placeholders === 'blank') {
+                    if (first) paragraph.runs.push(this.createTextRun(run, paragraph.styleId, DocxParser.PLACEHOLDER_BLANK));
+                    continue;
+                }
+            }
+
+            // Complex field characters and instructions are consumed by the field state
+            if (this.parseFieldCharacters(run, paragraph)) continue;
+
+            let items = this.parseRun(run, paragraph.styleId);
+            if (items.length === 0) continue;
+
+            // Field results: a computed value replaces the cached result, hyperlinks keep their target
+            const field = this.getActiveField(wrappers);
+            if (field === false) continue;
+            if (field && field.result !== null) {
+                if (field.emitted) continue;
+                field.emitted = true;
+                items = [this.createTextRun(run, paragraph.styleId, field.result)];
+            }
+
+            const link = this.getHyperlinkTarget(wrappers) || (field ? field.link : null);
+            for (const item of items) {
+                if (link && item.type === 'text') item.link = link;
+
+                if (revision && this.options.trackChanges === 'markup') {
+                    this.applyRevisionMarkup(item, revision);
+                }
+                paragraph.runs.push(item);
+            }
+        }
+
+        // A floating picture alone in its paragraph (a signature or stamp) keeps its side of the page
+        if (paragraph.runs.length > 0 && paragraph.runs.every(run => run.type === 'image')) {
+            const floating = paragraph.runs.find(run => run.align);
+            if (floating) paragraph.alignment = floating.align;
+        }
+
+        return paragraph;
+    }
+
+    /**
+     * Collect the custom tab stops of a paragraph; stops add up along the property chain,
+     * and w:tab w:val="clear" removes an inherited stop at the same position
+     * @param {Element[]} propertyChain - w:pPr elements, lowest priority first
+     * @returns {Array<{position: number, alignment: string, leader: string}>} Tab stops in points,
+     *          from the page margin, sorted by position
+     */
+    resolveTabStops(propertyChain) {
+        const stops = new Map();
+
+        for (const pPr of propertyChain) {
+            const tabs = getChildElements(pPr, 'tabs')[0];
+            if (!tabs) continue;
+
+            for (const tab of getChildElements(tabs, 'tab')) {
+                const pos = tab.getAttribute('w:pos');
+                if (!pos) continue;
+
+                const val = tab.getAttribute('w:val') || 'left';
+                if (val === 'clear') {
+                    stops.delete(pos);
+                    continue;
+                }
+
+                stops.set(pos, {
+                    position: this.twipsToPoints(pos),
+                    alignment: DocxParser.TAB_ALIGNMENTS[val] || 'left',
+                    leader: tab.getAttribute('w:leader') || 'none'
+                });
+            }
+        }
+
+        return [...stops.values()].sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Get the elements between a run and its paragraph (hyperlinks, simple fields, revisions),
+     * innermost first
+     * @param {Element} run - The run element
+     * @param {Element} container - Element to stop searching at (the paragraph)
+     * @returns {Element[]} Wrapping elements
+     */
+    getRunWrappers(run, container) {
+        const wrappers = [];
+        for (let parent = run.parentNode; parent && parent !== container; parent = parent.parentNode) {
+            wrappers.push(parent);
+        }
+        return wrappers;
+    }
+
+    /**
+     * Check whether a run lies in an mc:Fallback that parseAlternateContent passes over for the
+     * DrawingML choice
+     * @param {Element[]} wrappers - Ancestors of the run up to its paragraph
+     * @returns {boolean} True when the run's content is already read from the choice
+     */
+    isUnusedFallback(wrappers) {
+        return wrappers.some(wrapper => wrapper.localName === 'Fallback' &&
+            wrapper.namespaceURI === MARKUP_COMPATIBILITY_NS &&
+            wrapper.parentNode.getElementsByTagNameNS(WORD_NS, 'drawing').length > 0 &&
+            wrapper.getElementsByTagNameNS(WORD_NS, 'drawing').length === 0);
+    }
+
+    /**
+     * Find the tracked changes (w:ins, w:del, w:moveFrom, w:moveTo) wrapping a run
+     * @param {Element} run - The run element
+     * @param {Element} container - Element to stop searching at (the paragraph)
+     * @returns {{inserted: boolean, deleted: boolean}|null} Revision, or null for unchanged content
+     */
+    getRevision(run, container) {
+        return this.classifyRevision(this.getRunWrappers(run, container));
+    }
+
+    /**
+     * Find the tracked change recorded inside a paragraph mark's w:rPr or a row's w:trPr
+     * @param {Element} properties - The properties element
+     * @returns {{inserted: boolean, deleted: boolean}|null} Revision, or null when unchanged
+     */
+    getMarkerRevision(properties) {
+        return this.classifyRevision(properties.children);
+    }
+
+    /**
+     * Classify revision elements as insertions and/or deletions
+     * @param {Iterable<Element>} elements - Candidate elements
+     * @returns {{inserted: boolean, deleted: boolean}|null} Revision, or null when none are revisions
+     */
+    classifyRevision(elements) {
+        const revision = { inserted: false, deleted: false };
+
+        for (const element of elements) {
+            if (element.namespaceURI !== WORD_NS) continue;
+            if (element.localName === 'ins' || element.localName === 'moveTo') revision.inserted = true;
+            if (element.localName === 'del' || element.localName === 'moveFrom') revision.deleted = true;
+        }
+
+        return revision.inserted || revision.deleted ? revision : null;
+    }
+
+    /**
+     * Get the hyperlink target of a run inside w:hyperlink
+     * @param {Element[]} wrappers - Elements wrapping the run (see getRunWrappers)
+     * @returns {string|null} External URL, or null for internal links and plain runs
+     */
+    getHyperlinkTarget(wrappers) {
+        const hyperlink = wrappers.find(el => el.localName === 'hyperlink' && el.namespaceURI === WORD_NS);
+        const relationshipId = hyperlink ? hyperlink.getAttributeNS(RELATIONSHIPS_NS, 'id') : null;
+        const relationship = relationshipId ? this.relationships[relationshipId] : null;
+        return relationship ? relationship.target : null;
+    }
+
+    /**
+     * Track complex fields (w:fldChar begin/separate/end and w:instrText)
+     * @param {Element} run - The run element
+     * @param {Object} paragraph - Paragraph being parsed (receives values of fields without a cached result)
+     * @returns {boolean} True when the run only carries field structure
+     */
+    parseFieldCharacters(run, paragraph) {
+        const fldChar = getChildElements(run, 'fldChar')[0];
+        const instrTexts = getChildElements(run, 'instrText');
+        if (!fldChar && instrTexts.length === 0) return false;
+
+        let field = this.fields[this.fields.length - 1];
+        if (field && field.phase === 'instruction') {
+            for (const instrText of instrTexts) {
+                field.instruction += instrText.textContent || '';
+            }
+        }
+
+        switch (fldChar ? fldChar.getAttribute('w:fldCharType') : null) {
+            case 'begin':
+                this.fields.push({ instruction: '', phase: 'instruction', result: null, link: null, emitted: false, run: run });
+                break;
+            case 'separate':
+                if (field) {
+                    Object.assign(field, this.evaluateField(field.instruction));
+                    field.phase = 'result';
+                }
+                break;
+            case 'end':
+                if (!field) break;
+                this.fields.pop();
+
+                if (field.phase === 'instruction') {
+                    Object.assign(field, this.evaluateField(field.instruction));
+                }
+
+                // A field without a cached result shows its computed value
+                if (field.result && !field.emitted && !this.fields.some(open => open.phase === 'instruction')) {
+                    paragraph.runs.push(this.createTextRun(field.run, paragraph.styleId, field.result));
+                }
+                break;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the field whose result a run belongs to
+     * @param {Element[]} wrappers - Elements wrapping the run (see getRunWrappers)
+     * @returns {Object|null|false} Field state, null outside fields, or false when the run is part of
+     *          a field instruction (nested field results) and must not be shown
+     */
+    getActiveField(wrappers) {
+        if (this.fields.some(field => field.phase === 'instruction')) return false;
+
+        const fldSimple = wrappers.find(el => el.localName === 'fldSimple' && el.namespaceURI === WORD_NS);
+        if (fldSimple) {
+            if (!this.simpleFields.has(fldSimple)) {
+                const instruction = fldSimple.getAttribute('w:instr') || '';
+                this.simpleFields.set(fldSimple, Object.assign(
+                    { instruction: instruction, phase: 'result', result: null, link: null, emitted: false },
+                    this.evaluateField(instruction)
+                ));
+            }
+            return this.simpleFields.get(fldSimple);
+        }
+
+        return this.fields[this.fields.length - 1] || null;
+    }
+
+    /**
+     * Evaluate a field instruction where the result can be computed outside Word
+     * @param {string} instruction - Field code (e.g. 'DATE \@ "dd.MM.yyyy"', 'REF _Ref123 \h')
+     * @returns {{result: string|null, link: string|null}} Computed text (null keeps the cached result)
+     *          and hyperlink target
+     */
+    evaluateField(instruction) {
+        const tokens = [];
+        const switches = {};
+        const pattern = /"([^"]*)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(instruction)) !== null) {
+            tokens.push({ text: match[1] !== undefined ? match[1] : match[2], quoted: match[1] !== undefined });
+        }
+
+        // Split the field type, its arguments and its switches (\@ "picture", \* format, \h, ...)
+        const args = [];
+        for (let i = 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.quoted || !token.text.startsWith('\\')) {
+                args.push(token.text);
+                continue;
+            }
+            const name = token.text.substring(1);
+            const takesValue = ['@', '*', 'r', 'l', 'o', 's'].includes(name) && tokens[i + 1] &&
+                (tokens[i + 1].quoted || !tokens[i + 1].text.startsWith('\\'));
+            const value = takesValue ? tokens[++i].text : true;
+            switches[name] = name === '*' ? [...(switches[name] || []), value] : value;
+        }
+
+        const type = tokens[0] ? tokens[0].text.toUpperCase() : '';
+        const formats = switches['*'] || [];
+        let result = null;
+        let link = null;
+
+        switch (type) {
+            case 'HYPERLINK':
+                link = args[0] || null;
+                break;
+            case 'DATE':
+            case 'TIME':
+                result = formatDatePicture(new Date(), switches['@'] || (type === 'DATE' ? 'dd.MM.yyyy' : 'HH:mm'));
+                break;
+            case 'CREATEDATE':
+            case 'SAVEDATE': {
+                const date = this.coreProperties[type === 'CREATEDATE' ? 'created' : 'modified'];
+                if (date) result = formatDatePicture(date, switches['@'] || 'dd.MM.yyyy');
+                break;
+            }
+            case 'REF':
+                // Paragraph-number and position switches need Word's layout; keep the cached text
+                if (args[0] in this.bookmarks && !switches.n && !switches.r && !switches.w && !switches.p) {
+                    result = this.bookmarks[args[0]];
+                }
+                break;
+            case 'SEQ': {
+                const identifier = args[0] || '';
+                if (switches.r !== undefined && switches.r !== true) {
+                    this.sequences[identifier] = parseInt(switches.r, 10) || 0;
+                } else if (!switches.c) {
+                    this.sequences[identifier] = (this.sequences[identifier] || 0) + 1;
+                }
+                result = switches.h ? '' : String(this.sequences[identifier] || 0);
+                break;
+            }
+            case 'PAGE':
+            case 'NUMPAGES':
+            case 'SECTIONPAGES':
+            case 'PAGEREF':
+                this.warn('approximated', 'page-field', 'Page number field kept as its last displayed value');
+                break;
+            case 'TOC':
+                this.warn('approximated', 'toc', 'Table of contents kept as static text');
+                break;
+            default:
+                // A bare bookmark name is a REF field
+                if (tokens[0] && tokens[0].text in this.bookmarks) {
+                    result = this.bookmarks[tokens[0].text];
+                }
+        }
+
+        return { result: result !== null ? this.applyFieldFormat(result, formats) : null, link: link };
+    }
+
+    /**
+     * Apply \* general formatting switches to a computed field result
+     * @param {string} value - Field result
+     * @param {string[]} formats - Values of the \* switches (e.g. 'roman', 'Upper', 'MERGEFORMAT')
+     * @returns {string} Formatted result
+     */
+    applyFieldFormat(value, formats) {
+        const numberFormats = {
+            roman: 'lowerRoman',
+            ROMAN: 'upperRoman',
+            alphabetic: 'lowerLetter',
+            ALPHABETIC: 'upperLetter',
+            Arabic: 'decimal'
+        };
+
+        for (const format of formats) {
+            if (numberFormats[format] && /^\d+$/.test(value)) {
+                value = formatListNumber(parseInt(value, 10), numberFormats[format]);
+            } else if (format === 'Upper') {
+                value = value.toLocaleUpperCase('tr-TR');
+            } else if (format === 'Lower') {
+                value = value.toLocaleLowerCase('tr-TR');
+            } else if (format === 'Caps') {
+                value = value.replace(/(^|\s)(\S)/g, (all, space, letter) => space + letter.toLocaleUpperCase('tr-TR'));
+            } else if (format === 'FirstCap') {
+                value = value.charAt(0).toLocaleUpperCase('tr-TR') + value.substring(1);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether revised content is kept in the current tracked-changes mode
+     * @param {{inserted: boolean, deleted: boolean}} revision - Revision from getRevision
+     * @returns {boolean} True when the content is kept
+     */
+    includeRevision(revision) {
+        switch (this.options.trackChanges) {
+            case 'reject':
+                return !revision.inserted;
+            case 'markup':
+                return true;
+            default:
+                return !revision.deleted;
+        }
+    }
+
+    /**
+     * Format a revised run the way Word shows tracked changes
+     * @param {Object} item - Parsed run
+     * @param {{inserted: boolean, deleted: boolean}} revision - Revision from getRevision
+     */
+    applyRevisionMarkup(item, revision) {
+        if (item.type !== 'text') return;
+
+        // Content inserted and then deleted again is shown as a deletion
+        if (revision.deleted) {
+            item.strike = true;
+            item.color = DocxParser.REVISION_COLORS.deleted;
+        } else {
+            item.underline = true;
+            item.color = DocxParser.REVISION_COLORS.inserted;
+        }
+        item.revision = revision.deleted ? 'deleted' : 'inserted';
+    }
+
+    /**
+     * Get the properties that apply in the current tracked-changes mode; when rejecting changes,
+     * a formatting change (w:rPrChange / w:pPrChange) is undone by using the recorded old properties
+     * @param {Element} properties - w:rPr or w:pPr element
+     * @param {string} changeName - 'rPrChange' or 'pPrChange'
+     * @returns {Element|null} Properties element to read, or null when there were none before the change
+     */
+    getRevisedProperties(properties, changeName) {
+        if (this.options.trackChanges !== 'reject') return properties;
+
+        const change = getChildElements(properties, changeName)[0];
+        if (!change) return properties;
+        return getChildElements(change, changeName === 'pPrChange' ? 'pPr' : 'rPr')[0] || null;
+    }
+
+    /**
+     * Report the tracked changes in a paragraph or table row properties element
+     * @param {Element} element - The w:p or w:trPr element
+     */
+    reportRevisions(element) {
+        const messages = {
+            accept: 'Tracked change accepted',
+            reject: 'Tracked change rejected',
+            markup: 'Tracked change shown as formatting (UDF has no revision marks)'
+        };
+        const message = messages[this.options.trackChanges] || messages.accept;
+
+        for (const name of ['ins', 'del', 'moveFrom', 'moveTo', 'rPrChange', 'pPrChange']) {
+            const count = element.getElementsByTagNameNS(WORD_NS, name).length;
+            for (let i = 0; i < count; i++) {
+                this.warn('approximated', 'track-changes', message);
+            }
+        }
+    }
+
+    /**
+     * Read the properties set in a w:pPr element (only those present)
+     * @param {Element} pPr - Paragraph properties element
+     * @returns {Object} Paragraph properties
+     */
+    parseParagraphProperties(pPr) {
+        const properties = {};
+
+        // Alignment
+        const jc = getChildElements(pPr, 'jc')[0];
+        if (jc) {
+            properties.alignment = this.mapAlignment(jc.getAttribute('w:val'));
+        }
+
+        // Indentation
+        const ind = getChildElements(pPr, 'ind')[0];
+        if (ind) {
+            const left = ind.getAttribute('w:left') || ind.getAttribute('w:start');
+            const right = ind.getAttribute('w:right') || ind.getAttribute('w:end');
+            const firstLine = ind.getAttribute('w:firstLine');
+            const hanging = ind.getAttribute('w:hanging');
+            if (left) properties.leftIndent = this.twipsToPoints(left);
+            if (right) properties.rightIndent = this.twipsToPoints(right);
+            if (firstLine) properties.firstLineIndent = this.twipsToPoints(firstLine);
+
+            // A hanging indent pulls the first line back (it wins over w:firstLine)
+            if (hanging) properties.firstLineIndent = -this.twipsToPoints(hanging);
+        }
+
+        // Spacing before/after (twips) and line spacing (240ths of a line, or twips for exact/atLeast)
+        const spacing = getChildElements(pPr, 'spacing')[0];
+        if (spacing) {
+            const before = spacing.getAttribute('w:before');
+            const after = spacing.getAttribute('w:after');
+            const line = spacing.getAttribute('w:line');
+            if (before) properties.spaceBefore = this.twipsToPoints(before);
+            if (after) properties.spaceAfter = this.twipsToPoints(after);
+            if (line) {
+                properties.lineRule = spacing.getAttribute('w:lineRule') || 'auto';
+                properties.lineSpacing = properties.lineRule === 'auto'
+                    ? parseInt(line) / 240
+                    : parseInt(line) / 20 / DocxParser.SINGLE_LINE_HEIGHT;
+            }
+        }
+
+        // Pagination controls
+        for (const name of ['keepNext', 'keepLines', 'pageBreakBefore']) {
+            const element = getChildElements(pPr, name)[0];
+            if (element) properties[name] = this.isToggleOn(element);
+        }
+
+        // Numbering (styles such as headings often carry their own numPr)
+        const numPr = getChildElements(pPr, 'numPr')[0];
+        if (numPr) {
+            const ilvl = getChildElements(numPr, 'ilvl')[0];
+            const numId = getChildElements(numPr, 'numId')[0];
+            if (numId) properties.numId = numId.getAttribute('w:val');
+            if (ilvl) properties.numLevel = parseInt(ilvl.getAttribute('w:val') || '0');
+        }
+
+        return properties;
+    }
+
+    /**
+     * Parse a run element into its items in document order: text (including symbols and
+     * non-breaking hyphens), tabs, breaks, images and note or comment references
+     * @param {Element} run - The run element
+     * @param {string|null} paragraphStyleId - Style of the containing paragraph
+     * @returns {Object[]} Parsed items; text items carry the run's formatting
+     */
+    parseRun(run, paragraphStyleId = null) {
+        if (this.usesRenderedPageBreaks && getChildElements(run, 'lastRenderedPageBreak').length > 0) {
+            this.location.page++;
+        }
+
+        const items = [];
+        let text = '';
+
+        // Adjacent text, symbols and hyphens form one text item
+        const flushText = () => {
+            if (text) items.push(this.createTextRun(run, paragraphStyleId, text));
+            text = '';
+        };
+        const addItem = (item) => {
+            if (!item) return;
+            flushText();
+            items.push(item);
+        };
+
+        for (const child of run.children) {
+            switch (child.localName) {
+                case 't':
+                case 'delText': // Deleted runs keep their text in w:delText
+                    text += child.textContent || '';
+                    break;
+                case 'sym':
+                    text += this.parseSymbol(child);
+                    break;
+                case 'noBreakHyphen':
+                    text += '\u2011';
+                    break;
+                case 'softHyphen':
+                    // Optional hyphens only show where Word breaks the line
+                    break;
+                case 'tab':
+                case 'ptab':
+                    addItem({ type: 'tab' });
+                    break;
+                case 'br':
+                    if (child.getAttribute('w:type') === 'page') {
+                        if (!this.usesRenderedPageBreaks) this.location.page++;
+                        addItem({ type: 'pageBreak' });
+                    } else {
+                        addItem({ type: 'break' });
+                    }
+                    break;
+                case 'cr':
+                    addItem({ type: 'break' });
+                    break;
+                case 'drawing':
+                    addItem(this.parseDrawing(child));
+                    break;
+                case 'pict':
+                    addItem(this.parseRunPicture(child));
+                    break;
+                case 'AlternateContent':
+                    addItem(this.parseAlternateContent(child));
+                    break;
+                case 'footnoteReference':
+                case 'endnoteReference':
+                    addItem(this.parseNoteReference(child));
+                    break;
+                case 'footnoteRef':
+                case 'endnoteRef':
+                    // The number mark at the start of a note's own text
+                    addItem({ type: 'noteMark' });
+                    break;
+                case 'commentReference':
+                    addItem(this.parseCommentReference(child));
+                    break;
+                case 'ruby':
+                    // Only the base text is kept
+                    text += [...child.getElementsByTagNameNS(WORD_NS, 'rubyBase')]
+                        .map(base => [...base.getElementsByTagNameNS(WORD_NS, 't')].map(t => t.textContent).join(''))
+                        .join('');
+                    this.warn('approximated', 'ruby', 'Phonetic guide (ruby) text flattened');
+                    break;
+                case 'object':
+                    this.warn('dropped', 'embedded-object', 'Embedded OLE object skipped');
+                    break;
+            }
+        }
+        flushText();
+
+        return items;
     }
 
     /**
-     * Extract embedded images
+     * Map a w:sym character to Unicode; symbol fonts use private-use code points (F020-F0FF)
+     * @param {Element} sym - The w:sym element
+     * @returns {string} The character, or '' when it cannot be mapped
      */
-    async extractImages() {
-        const mediaFolder = this.zip.folder('word/media');
-        if (!mediaFolder) return;
+    parseSymbol(sym) {
+        const font = sym.getAttribute('w:font') || '';
+        const code = parseInt(sym.getAttribute('w:char') || '', 16);
+        if (isNaN(code)) return '';
+
+        // Symbol fonts address their glyphs by the code point's low byte
+        const glyph = code >= 0xF000 && code <= 0xF0FF ? code - 0xF000 : code;
+        const table = DocxParser.SYMBOL_FONTS[font.toLowerCase()];
+        const character = table ? table[glyph] : glyph === code ? String.fromCodePoint(code) : null;
+        if (character) return character;
+
+        this.warn('dropped', 'symbol', `Symbol character dropped (${font || 'unknown font'} ${code.toString(16).toUpperCase()})`);
+        return '';
+    }
 
-        const mediaFiles = [];
-        this.zip.forEach((relativePath, file) => {
-            if (relativePath.startsWith('word/media/')) {
-                mediaFiles.push({ path: relativePath, file });
-            }
-        });
+    /**
+     * Parse a w:pict child of a run: legacy pictures become images, text boxes and shapes are reported
+     * @param {Element} pict - The w:pict element
+     * @returns {Object|null} Parsed image
+     */
+    parseRunPicture(pict) {
+        if (this.isVmlPicture(pict)) return this.parseVmlPicture(pict);
 
-        for (const { path, file } of mediaFiles) {
-            const data = await file.async('arraybuffer');
-            const base64 = arrayBufferToBase64(data);
-            const filename = path.replace('word/media/', '');
-            this.images[filename] = base64;
-        }
+        this.reportPicture(pict);
+        return null;
     }
 
     /**
-     * Parse footnotes from word/footnotes.xml
+     * Parse an mc:AlternateContent child of a run, preferring the DrawingML choice over the VML fallback
+     * @param {Element} alternate - The mc:AlternateContent element
+     * @returns {Object|null} Parsed image
      */
-    async parseFootnotes() {
-        const footnotesFile = this.zip.file('word/footnotes.xml');
-        if (!footnotesFile) return;
+    parseAlternateContent(alternate) {
+        const drawing = alternate.getElementsByTagNameNS(WORD_NS, 'drawing')[0];
+        if (drawing) return this.parseDrawing(drawing);
 
-        try {
-            const footnotesXml = await footnotesFile.async('string');
-            const footnotesDoc = parseXml(footnotesXml);
-            const footnotes = footnotesDoc.getElementsByTagNameNS(WORD_NS, 'footnote');
-
-            for (const footnote of footnotes) {
-                const id = footnote.getAttribute('w:id');
-                // Skip separator and continuationSeparator footnotes (id 0 and -1)
-                if (id === '0' || id === '-1') continue;
-
-                // Extract text content from the footnote
-                const paragraphs = footnote.getElementsByTagNameNS(WORD_NS, 'p');
-                let footnoteText = '';
-
-                for (const para of paragraphs) {
-                    const runs = para.getElementsByTagNameNS(WORD_NS, 'r');
-                    for (const run of runs) {
-                        const textElements = run.getElementsByTagNameNS(WORD_NS, 't');
-                        for (const t of textElements) {
-                            footnoteText += t.textContent || '';
-                        }
-                    }
-                    footnoteText += ' ';
-                }
+        const pict = alternate.getElementsByTagNameNS(WORD_NS, 'pict')[0];
+        return pict ? this.parseRunPicture(pict) : null;
+    }
 
-                this.footnotes[id] = footnoteText.trim();
-            }
-        } catch (error) {
-            console.warn('Could not parse footnotes:', error);
-        }
+    /**
+     * Parse a footnote or endnote reference
+     * @param {Element} reference - The w:footnoteReference or w:endnoteReference element
+     * @returns {Object|null} Note reference, or null when the note does not exist
+     */
+    parseNoteReference(reference) {
+        const kind = reference.localName === 'footnoteReference' ? 'footnote' : 'endnote';
+        const notes = kind === 'footnote' ? this.footnotes : this.endnotes;
+        const noteId = reference.getAttribute('w:id');
+        if (!noteId || !(noteId in notes)) return null;
+
+        return { type: `${kind}Ref`, id: noteId, note: notes[noteId] };
     }
 
     /**
-     * Extract all document elements
-     * @returns {Array} Array of document elements
+     * Parse a comment reference (comments are only kept when exported)
+     * @param {Element} reference - The w:commentReference element
+     * @returns {Object|null} Comment reference
      */
-    async extractElements() {
-        const body = this.document.getElementsByTagNameNS(WORD_NS, 'body')[0];
-        if (!body) return [];
+    parseCommentReference(reference) {
+        if (this.options.comments !== 'export') {
+            this.warn('dropped', 'comment', 'Comment dropped');
+            return null;
+        }
 
-        const elements = [];
+        const commentId = reference.getAttribute('w:id');
+        if (!(commentId in this.comments)) return null;
 
-        for (const child of body.children) {
-            const localName = child.localName;
+        return { type: 'commentRef', id: commentId, comment: this.comments[commentId] };
+    }
 
-            if (localName === 'p') {
-                elements.push(this.parseParagraph(child));
-            } else if (localName === 'tbl') {
-                elements.push(this.parseTable(child));
-            }
+    /**
+     * Create a text item formatted with a run's effective properties
+     * @param {Element} run - The run element supplying the formatting
+     * @param {string|null} paragraphStyleId - Style of the containing paragraph
+     * @param {string} text - Text of the item
+     * @returns {Object} Parsed text run
+     */
+    createTextRun(run, paragraphStyleId, text) {
+        // Effective run properties: docDefaults < table style < paragraph style < character style < direct formatting
+        const rPr = getChildElements(run, 'rPr')[0];
+        const rStyle = rPr ? getChildElements(rPr, 'rStyle')[0] : null;
+        const cellFormatting = this.cellFormatting[this.cellFormatting.length - 1];
+        const propertyChain = this.styles.getRunPropertyChain(
+            paragraphStyleId,
+            rStyle ? rStyle.getAttribute('w:val') : null,
+            cellFormatting ? cellFormatting.rPr : []
+        );
+        const directProperties = rPr ? this.getRevisedProperties(rPr, 'rPrChange') : null;
+        if (directProperties) propertyChain.push(directProperties);
+
+        const formatting = Object.assign({
+            type: 'text',
+            text: text,
+            bold: false,
+            italic: false,
+            underline: false,
+            strike: false,
+            fontFamily: 'Times New Roman',
+            fontSize: 12
+        }, ...propertyChain.map(el => this.parseRunProperties(el)));
+
+        // w:rFonts sets a font per script; Word uses hAnsi for letters outside ASCII (ç, ğ, ı, ş, ...)
+        // and the complex script font and size for right-to-left runs
+        const fontFamily = formatting.complexScript
+            ? formatting.fontCs
+            : /[^\x00-\x7F]/.test(text)
+                ? formatting.fontHAnsi || formatting.fontAscii
+                : formatting.fontAscii || formatting.fontHAnsi;
+        if (fontFamily) formatting.fontFamily = fontFamily;
+        if (formatting.complexScript && formatting.fontSizeCs) formatting.fontSize = formatting.fontSizeCs;
+        for (const key of ['fontAscii', 'fontHAnsi', 'fontCs', 'fontSizeCs', 'complexScript']) {
+            delete formatting[key];
         }
 
-        return elements;
+        // All caps only changes how the text is displayed
+        if (formatting.caps) formatting.text = text.toLocaleUpperCase('tr-TR');
+        delete formatting.caps;
+
+        // Highlighting is drawn over shading
+        formatting.background = formatting.highlight || formatting.shading || null;
+        delete formatting.highlight;
+        delete formatting.shading;
+
+        return formatting;
     }
 
     /**
-     * Parse a paragraph element
-     * @param {Element} para - The paragraph element
-     * @returns {Object} Parsed paragraph
+     * Check whether a w:pict holds a picture (v:imagedata) rather than a text box or shape
+     * @param {Element} pict - The w:pict element
+     * @returns {boolean} True for legacy VML pictures
      */
-    parseParagraph(para) {
-        const paragraph = {
-            type: 'paragraph',
-            alignment: 'left',
-            runs: [],
-            numbering: null
-        };
-
-        // Get paragraph properties
-        const pPr = para.getElementsByTagNameNS(WORD_NS, 'pPr')[0];
-        if (pPr) {
-            // Alignment
-            const jc = pPr.getElementsByTagNameNS(WORD_NS, 'jc')[0];
-            if (jc) {
-                const val = jc.getAttribute('w:val');
-                paragraph.alignment = this.mapAlignment(val);
-            }
-
-            // Indentation
-            const ind = pPr.getElementsByTagNameNS(WORD_NS, 'ind')[0];
-            if (ind) {
-                paragraph.leftIndent = this.twipsToPoints(ind.getAttribute('w:left') || '0');
-                paragraph.rightIndent = this.twipsToPoints(ind.getAttribute('w:right') || '0');
-                paragraph.firstLineIndent = this.twipsToPoints(ind.getAttribute('w:firstLine') || '0');
-            }
-
-            // Numbering
-            const numPr = pPr.getElementsByTagNameNS(WORD_NS, 'numPr')[0];
-            if (numPr) {
-                const ilvl = numPr.getElementsByTagNameNS(WORD_NS, 'ilvl')[0];
-                const numId = numPr.getElementsByTagNameNS(WORD_NS, 'numId')[0];
-                if (ilvl && numId) {
-                    paragraph.numbering = {
-                        level: parseInt(ilvl.getAttribute('w:val') || '0'),
-                        numId: numId.getAttribute('w:val')
-                    };
-                }
-            }
-        }
+    isVmlPicture(pict) {
+        return pict.getElementsByTagNameNS(VML_NS, 'imagedata').length > 0 &&
+            pict.getElementsByTagNameNS(WORD_NS, 'txbxContent').length === 0;
+    }
 
-        // Get runs (text with formatting)
-        const runs = para.getElementsByTagNameNS(WORD_NS, 'r');
-        for (const run of runs) {
-            const parsedRun = this.parseRun(run);
-            if (parsedRun) {
-                paragraph.runs.push(parsedRun);
-            }
+    /**
+     * Report a legacy VML text box or shape (w:pict), which is not converted
+     * @param {Element} pict - The w:pict element
+     */
+    reportPicture(pict) {
+        if (pict.getElementsByTagNameNS(WORD_NS, 'txbxContent').length > 0) {
+            this.warn('approximated', 'text-box', 'Text box content placed inline');
+        } else {
+            this.warn('dropped', 'shape', 'Drawing shape skipped');
         }
-
-        return paragraph;
     }
 
     /**
-     * Parse a run element (text with formatting)
-     * @param {Element} run - The run element
-     * @returns {Object|null} Parsed run
+     * Read the properties set in a w:rPr element (only those present)
+     * @param {Element} rPr - Run properties element
+     * @returns {Object} Run properties
      */
-    parseRun(run) {
-        // Check for images first
-        const drawings = run.getElementsByTagNameNS(WORD_NS, 'drawing');
-        if (drawings.length > 0) {
-            return this.parseDrawing(drawings[0]);
+    parseRunProperties(rPr) {
+        const properties = {};
+
+        // Bold and italic are on unless explicitly switched off
+        const b = getChildElements(rPr, 'b')[0];
+        if (b) properties.bold = this.isToggleOn(b);
+
+        const i = getChildElements(rPr, 'i')[0];
+        if (i) properties.italic = this.isToggleOn(i);
+
+        // Underline
+        const u = getChildElements(rPr, 'u')[0];
+        if (u) {
+            const val = u.getAttribute('w:val');
+            properties.underline = !!val && val !== 'none';
         }
 
-        // Get text content
-        const textElements = run.getElementsByTagNameNS(WORD_NS, 't');
-        let text = '';
-        for (const t of textElements) {
-            text += t.textContent || '';
-        }
-
-        // Check for footnote reference
-        const footnoteRefs = run.getElementsByTagNameNS(WORD_NS, 'footnoteReference');
-        if (footnoteRefs.length > 0) {
-            const footnoteId = footnoteRefs[0].getAttribute('w:id');
-            // Use 'in' to check key presence - empty string is still valid
-            if (footnoteId && footnoteId in this.footnotes) {
-                return {
-                    type: 'footnoteRef',
-                    id: footnoteId,
-                    content: this.footnotes[footnoteId] || '[Empty footnote]'
-                };
+        // Strikethrough (a double strikethrough is drawn as a single one)
+        const strike = getChildElements(rPr, 'strike')[0];
+        const dstrike = getChildElements(rPr, 'dstrike')[0];
+        if (strike || dstrike) {
+            properties.strike = (!!strike && this.isToggleOn(strike)) || (!!dstrike && this.isToggleOn(dstrike));
+        }
+
+        // Font family per script; theme references take precedence over the explicit names
+        const rFonts = getChildElements(rPr, 'rFonts')[0];
+        if (rFonts) {
+            const scripts = { Ascii: 'asciiTheme', HAnsi: 'hAnsiTheme', Cs: 'cstheme' };
+            for (const [script, themeAttribute] of Object.entries(scripts)) {
+                const font = this.resolveThemeFont(rFonts.getAttribute(`w:${themeAttribute}`)) ||
+                    rFonts.getAttribute(`w:${script.charAt(0).toLowerCase()}${script.substring(1)}`);
+                if (font) properties[`font${script}`] = font;
             }
         }
 
-        // Check for tab
-        const tabs = run.getElementsByTagNameNS(WORD_NS, 'tab');
-        if (tabs.length > 0) {
-            return { type: 'tab' };
+        // Font size (in half-points, convert to points); w:szCs applies to complex script runs
+        const sz = getChildElements(rPr, 'sz')[0];
+        if (sz) {
+            const val = sz.getAttribute('w:val');
+            if (val) properties.fontSize = parseInt(val) / 2;
         }
 
-        // Check for break
-        const breaks = run.getElementsByTagNameNS(WORD_NS, 'br');
-        if (breaks.length > 0) {
-            const breakType = breaks[0].getAttribute('w:type');
-            if (breakType === 'page') {
-                return { type: 'pageBreak' };
-            }
-            return { type: 'break' };
+        const szCs = getChildElements(rPr, 'szCs')[0];
+        if (szCs) {
+            const val = szCs.getAttribute('w:val');
+            if (val) properties.fontSizeCs = parseInt(val) / 2;
         }
 
-        if (!text) return null;
+        const rtl = getChildElements(rPr, 'rtl')[0];
+        const cs = getChildElements(rPr, 'cs')[0];
+        if (rtl || cs) {
+            properties.complexScript = (!!rtl && this.isToggleOn(rtl)) || (!!cs && this.isToggleOn(cs));
+        }
 
-        // Get run properties
-        const formatting = {
-            type: 'text',
-            text: text,
-            bold: false,
-            italic: false,
-            underline: false,
-            strike: false,
-            fontFamily: 'Times New Roman',
-            fontSize: 12
-        };
+        // Superscript and subscript
+        const vertAlign = getChildElements(rPr, 'vertAlign')[0];
+        if (vertAlign) {
+            const val = vertAlign.getAttribute('w:val');
+            properties.superscript = val === 'superscript';
+            properties.subscript = val === 'subscript';
+        }
 
-        const rPr = run.getElementsByTagNameNS(WORD_NS, 'rPr')[0];
-        if (rPr) {
-            // Bold
-            const b = rPr.getElementsByTagNameNS(WORD_NS, 'b')[0];
-            if (b && b.getAttribute('w:val') !== 'false' && b.getAttribute('w:val') !== '0') {
-                formatting.bold = true;
-            } else if (b && !b.hasAttribute('w:val')) {
-                formatting.bold = true;
-            }
-
-            // Italic
-            const i = rPr.getElementsByTagNameNS(WORD_NS, 'i')[0];
-            if (i && i.getAttribute('w:val') !== 'false' && i.getAttribute('w:val') !== '0') {
-                formatting.italic = true;
-            } else if (i && !i.hasAttribute('w:val')) {
-                formatting.italic = true;
-            }
-
-            // Underline
-            const u = rPr.getElementsByTagNameNS(WORD_NS, 'u')[0];
-            if (u) {
-                const val = u.getAttribute('w:val');
-                if (val && val !== 'none') {
-                    formatting.underline = true;
-                }
-            }
+        // Capitals
+        const caps = getChildElements(rPr, 'caps')[0];
+        if (caps) properties.caps = this.isToggleOn(caps);
 
-            // Strikethrough
-            const strike = rPr.getElementsByTagNameNS(WORD_NS, 'strike')[0];
-            if (strike && strike.getAttribute('w:val') !== 'false') {
-                formatting.strike = true;
-            }
+        const smallCaps = getChildElements(rPr, 'smallCaps')[0];
+        if (smallCaps) properties.smallCaps = this.isToggleOn(smallCaps);
 
-            // Font family
-            const rFonts = rPr.getElementsByTagNameNS(WORD_NS, 'rFonts')[0];
-            if (rFonts) {
-                const ascii = rFonts.getAttribute('w:ascii');
-                if (ascii) formatting.fontFamily = ascii;
-            }
+        // Highlighting uses a fixed palette of named colors
+        const highlight = getChildElements(rPr, 'highlight')[0];
+        if (highlight) {
+            properties.highlight = DocxParser.HIGHLIGHT_COLORS[highlight.getAttribute('w:val')] || null;
+        }
 
-            // Font size (in half-points, convert to points)
-            const sz = rPr.getElementsByTagNameNS(WORD_NS, 'sz')[0];
-            if (sz) {
-                const val = sz.getAttribute('w:val');
-                if (val) formatting.fontSize = parseInt(val) / 2;
-            }
+        // Run shading
+        const shd = getChildElements(rPr, 'shd')[0];
+        if (shd) {
+            const fill = shd.getAttribute('w:fill');
+            properties.shading = fill && fill !== 'auto' ? '#' + fill : null;
+        }
 
-            // Color
-            const color = rPr.getElementsByTagNameNS(WORD_NS, 'color')[0];
-            if (color) {
-                const val = color.getAttribute('w:val');
-                if (val && val !== 'auto') {
-                    formatting.color = '#' + val;
-                }
+        // Color
+        const color = getChildElements(rPr, 'color')[0];
+        if (color) {
+            const val = color.getAttribute('w:val');
+            if (val && val !== 'auto') {
+                properties.color = '#' + val;
+            } else if (val === 'auto') {
+                properties.color = null;
             }
         }
 
-        return formatting;
+        return properties;
+    }
+
+    /**
+     * Check whether an on/off property (w:b, w:i, ...) is switched on
+     * @param {Element} el - The property element
+     * @returns {boolean} True unless w:val is false/0/off
+     */
+    isToggleOn(el) {
+        const val = el.getAttribute('w:val');
+        return !val || (val !== 'false' && val !== '0' && val !== 'off');
     }
 
     /**
@@ -345,10 +1872,15 @@ class DocxParser {
             data: null
         };
 
-        // Get extent (size)
-        const extents = drawing.getElementsByTagNameNS(WORDML_DRAWING_NS, 'extent');
-        if (extents.length > 0) {
-            const ext = extents[0];
+        // wp:inline sits in the text flow, wp:anchor floats (wrapped, behind or in front of text)
+        const container = getChildElements(drawing, 'inline', WORDML_DRAWING_NS)[0] ||
+            getChildElements(drawing, 'anchor', WORDML_DRAWING_NS)[0] || drawing;
+        const anchored = container.localName === 'anchor';
+
+        // Get extent (size of the picture frame, before rotation)
+        const ext = getChildElements(container, 'extent', WORDML_DRAWING_NS)[0] ||
+            drawing.getElementsByTagNameNS(WORDML_DRAWING_NS, 'extent')[0];
+        if (ext) {
             // EMUs to points (914400 EMUs = 1 inch = 72 points)
             const cx = parseInt(ext.getAttribute('cx') || '0');
             const cy = parseInt(ext.getAttribute('cy') || '0');
@@ -359,19 +1891,225 @@ class DocxParser {
         // Get embedded image reference
         const blips = drawing.getElementsByTagNameNS(DRAWING_NS, 'blip');
         if (blips.length > 0) {
-            const embed = blips[0].getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'embed');
-            if (embed && this.relationships[embed]) {
-                const target = this.relationships[embed].target;
-                const filename = target.replace('media/', '');
-                if (this.images[filename]) {
-                    image.data = this.images[filename];
-                }
+            this.setImageData(image, blips[0].getAttributeNS(RELATIONSHIPS_NS, 'embed'));
+
+            // Cropping, in thousandths of a percent of the picture's size
+            const srcRect = getChildElements(blips[0].parentNode, 'srcRect', DRAWING_NS)[0];
+            if (srcRect) {
+                this.setImageCrop(image, side => parseInt(srcRect.getAttribute(side[0]) || '0') / 100000);
+            }
+
+            // Rotation (in 60000ths of a degree) and flips of the picture shape
+            const picture = drawing.getElementsByTagNameNS(PICTURE_NS, 'pic')[0];
+            const xfrm = picture ? picture.getElementsByTagNameNS(DRAWING_NS, 'xfrm')[0] : null;
+            if (xfrm) {
+                this.setImageTransform(image, parseInt(xfrm.getAttribute('rot') || '0') / 60000,
+                    this.isToggleValue(xfrm.getAttribute('flipH')), this.isToggleValue(xfrm.getAttribute('flipV')));
+            }
+
+            if (anchored) {
+                image.align = this.getAnchorAlignment(container, image.width);
+            }
+        }
+
+        // Report what cannot be represented as an inline image
+        if (drawing.getElementsByTagNameNS(WORD_NS, 'txbxContent').length > 0) {
+            this.warn('approximated', 'text-box', 'Text box content placed inline');
+        } else if (drawing.getElementsByTagNameNS(CHART_NS, 'chart').length > 0) {
+            this.warn('dropped', 'chart', 'Chart skipped');
+        } else if (blips.length === 0) {
+            this.warn('dropped', 'shape', 'Drawing shape skipped');
+        } else if (!image.data) {
+            this.warn('dropped', 'image-missing', 'Linked or missing image not embedded');
+        } else if (anchored) {
+            this.warn('approximated', 'floating-image', 'Floating image placed inline at its anchor');
+        }
+
+        return image;
+    }
+
+    /**
+     * Parse a legacy VML picture (w:pict with v:imagedata)
+     * @param {Element} pict - The w:pict element
+     * @returns {Object} Parsed image
+     */
+    parseVmlPicture(pict) {
+        const imagedata = pict.getElementsByTagNameNS(VML_NS, 'imagedata')[0];
+        const shape = imagedata.parentNode;
+        const style = this.parseVmlStyle(shape.getAttribute('style') || '');
+
+        // A missing dimension is derived from the picture's aspect ratio by the ImageProcessor
+        const image = {
+            type: 'image',
+            width: style.width !== undefined ? this.parseVmlLength(style.width) : null,
+            height: style.height !== undefined ? this.parseVmlLength(style.height) : null,
+            data: null
+        };
+        if (image.width === null && image.height === null) {
+            image.width = 100;
+            image.height = 100;
+        }
+
+        this.setImageData(image, imagedata.getAttributeNS(RELATIONSHIPS_NS, 'id') || imagedata.getAttribute('r:id'));
+
+        // Cropping as fractions, or in 65536ths when suffixed with "f"
+        this.setImageCrop(image, side => {
+            const value = imagedata.getAttribute(`crop${side}`) || '0';
+            return value.endsWith('f') ? parseInt(value) / 65536 : parseFloat(value) || 0;
+        });
+
+        const rotation = style.rotation || '0';
+        const flip = style.flip || '';
+        this.setImageTransform(image,
+            rotation.endsWith('fd') ? parseInt(rotation) / 65536 : parseFloat(rotation) || 0,
+            flip.includes('x'), flip.includes('y'));
+
+        const floating = style.position === 'absolute';
+        if (floating) {
+            const horizontal = style['mso-position-horizontal'];
+            if (['left', 'center', 'right'].includes(horizontal)) {
+                image.align = horizontal;
+            } else if (style['margin-left'] !== undefined || style.left !== undefined) {
+                image.align = this.getHorizontalPlacement(this.parseVmlLength(style['margin-left'] || style.left),
+                    image.width || image.height, style['mso-position-horizontal-relative'] === 'page');
             }
         }
 
+        if (!image.data) {
+            this.warn('dropped', 'image-missing', 'Linked or missing image not embedded');
+        } else if (floating) {
+            this.warn('approximated', 'floating-image', 'Floating image placed inline at its anchor');
+        }
+
         return image;
     }
 
+    /**
+     * Split a VML style attribute into its declarations
+     * @param {string} style - Style attribute (e.g. "position:absolute;width:120pt")
+     * @returns {Object} Declarations keyed by property name
+     */
+    parseVmlStyle(style) {
+        const declarations = {};
+        for (const declaration of style.split(';')) {
+            const colon = declaration.indexOf(':');
+            if (colon === -1) continue;
+            declarations[declaration.substring(0, colon).trim()] = declaration.substring(colon + 1).trim();
+        }
+        return declarations;
+    }
+
+    /**
+     * Convert a VML length to points
+     * @param {string} value - Length with unit (pt, in, cm, mm, pc or px; no unit means pixels)
+     * @returns {number} Length in points
+     */
+    parseVmlLength(value) {
+        const units = { pt: 1, in: 72, cm: 72 / 2.54, mm: 72 / 25.4, pc: 12, px: 0.75 };
+        const match = /^(-?[\d.]+)\s*([a-z]*)$/.exec(value.trim());
+        if (!match) return 0;
+        return Math.round(parseFloat(match[1]) * (units[match[2]] || 0.75));
+    }
+
+    /**
+     * Attach the data of an embedded image part to a parsed image
+     * @param {Object} image - Parsed image
+     * @param {string|null} relationshipId - Relationship id of the image part
+     */
+    setImageData(image, relationshipId) {
+        const relationship = relationshipId ? this.relationships[relationshipId] : null;
+        if (!relationship) return;
+
+        const filename = relationship.target.replace('media/', '');
+        if (this.images[filename]) {
+            // Name and location let the ImageProcessor convert the format and report it
+            image.data = this.images[filename];
+            image.name = filename;
+            image.location = this.getLocation();
+        }
+    }
+
+    /**
+     * Record the cropping of an image, as fractions of its size cut from each side
+     * @param {Object} image - Parsed image
+     * @param {Function} readSide - Returns the fraction for 'left', 'top', 'right' or 'bottom'
+     */
+    setImageCrop(image, readSide) {
+        const crop = {};
+        for (const side of ['left', 'top', 'right', 'bottom']) {
+            // Negative values pad the picture instead, which is not reproduced
+            crop[side] = Math.min(Math.max(readSide(side), 0), 1);
+        }
+        if (crop.left + crop.right >= 1 || crop.top + crop.bottom >= 1) return;
+        if (Object.values(crop).some(value => value > 0)) image.crop = crop;
+    }
+
+    /**
+     * Record the rotation and flips of an image
+     * @param {Object} image - Parsed image
+     * @param {number} rotation - Clockwise rotation in degrees
+     * @param {boolean} flipH - Mirrored horizontally
+     * @param {boolean} flipV - Mirrored vertically
+     */
+    setImageTransform(image, rotation, flipH, flipV) {
+        rotation = ((rotation % 360) + 360) % 360;
+        if (rotation) image.rotation = rotation;
+        if (flipH) image.flipH = true;
+        if (flipV) image.flipV = true;
+    }
+
+    /**
+     * Check a boolean XML attribute value ('1', 'true' or 'on')
+     * @param {string|null} value - Attribute value
+     * @returns {boolean} True when set
+     */
+    isToggleValue(value) {
+        return value === '1' || value === 'true' || value === 'on';
+    }
+
+    /**
+     * Get the horizontal side a floating drawing sits on (wp:positionH)
+     * @param {Element} anchor - The wp:anchor element
+     * @param {number} width - Image width in points
+     * @returns {string|null} 'left', 'center' or 'right', or null when positioned relative to the text
+     */
+    getAnchorAlignment(anchor, width) {
+        const positionH = getChildElements(anchor, 'positionH', WORDML_DRAWING_NS)[0];
+        if (!positionH) return null;
+
+        const align = getChildElements(positionH, 'align', WORDML_DRAWING_NS)[0];
+        if (align) {
+            const sides = { left: 'left', inside: 'left', center: 'center', right: 'right', outside: 'right' };
+            return sides[align.textContent.trim()] || null;
+        }
+
+        const posOffset = getChildElements(positionH, 'posOffset', WORDML_DRAWING_NS)[0];
+        const relativeFrom = positionH.getAttribute('relativeFrom');
+        if (!posOffset || !['page', 'margin', 'column'].includes(relativeFrom)) return null;
+
+        const offset = parseInt(posOffset.textContent) / 914400 * 72;
+        return this.getHorizontalPlacement(offset, width, relativeFrom === 'page');
+    }
+
+    /**
+     * Classify a horizontal offset as the left, middle or right third of the text area
+     * @param {number} offset - Offset of the image's left edge in points
+     * @param {number} width - Image width in points
+     * @param {boolean} fromPage - Offset is measured from the page edge rather than the margin
+     * @returns {string} 'left', 'center' or 'right'
+     */
+    getHorizontalPlacement(offset, width, fromPage) {
+        const pageSetup = this.pageSetup || {};
+        const leftMargin = pageSetup.leftMargin !== undefined ? pageSetup.leftMargin : 72;
+        const rightMargin = pageSetup.rightMargin !== undefined ? pageSetup.rightMargin : 72;
+        const textWidth = (pageSetup.width || 595.3) - leftMargin - rightMargin;
+
+        const center = offset + width / 2 - (fromPage ? leftMargin : 0);
+        if (center < textWidth / 3) return 'left';
+        if (center > textWidth * 2 / 3) return 'right';
+        return 'center';
+    }
+
     /**
      * Parse a table element
      * @param {Element} tbl - The table element
@@ -382,97 +2120,323 @@ class DocxParser {
             type: 'table',
             rows: [],
             columnWidths: [],
-            border: 'borderCell'
+            border: 'borderCell',
+            styleId: null,
+            borders: {}
         };
 
-        // Get table grid (column widths)
-        const tblGrid = tbl.getElementsByTagNameNS(WORD_NS, 'tblGrid')[0];
+        // Get table grid (column widths); only direct children, nested tables have their own
+        const tblGrid = getChildElements(tbl, 'tblGrid')[0];
         if (tblGrid) {
-            const gridCols = tblGrid.getElementsByTagNameNS(WORD_NS, 'gridCol');
+            const gridCols = getChildElements(tblGrid, 'gridCol');
             for (const col of gridCols) {
                 const w = col.getAttribute('w:w');
                 table.columnWidths.push(this.twipsToPoints(w || '0'));
             }
         }
 
-        // Get table properties
-        const tblPr = tbl.getElementsByTagNameNS(WORD_NS, 'tblPr')[0];
-        if (tblPr) {
-            const tblBorders = tblPr.getElementsByTagNameNS(WORD_NS, 'tblBorders')[0];
-            if (tblBorders) {
-                // Check if borders are set to none
-                const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'];
-                let allNone = true;
-                for (const borderName of borders) {
-                    const border = tblBorders.getElementsByTagNameNS(WORD_NS, borderName)[0];
-                    if (border) {
-                        const val = border.getAttribute('w:val');
-                        if (val && val !== 'none' && val !== 'nil') {
-                            allNone = false;
-                            break;
-                        }
-                    }
-                }
-                if (allNone) {
-                    table.border = 'borderNone';
-                }
-            }
+        // Table properties: the table style (and its conditional formatting), then direct properties
+        const tblPr = getChildElements(tbl, 'tblPr')[0];
+        const tblStyle = tblPr ? getChildElements(tblPr, 'tblStyle')[0] : null;
+        if (tblStyle) {
+            table.styleId = tblStyle.getAttribute('w:val');
+        }
+
+        const styleParts = this.styles.getTableStyleParts(table.styleId);
+        const tablePropertyChain = [...(styleParts.wholeTable ? styleParts.wholeTable.tblPr : [])];
+        if (tblPr) tablePropertyChain.push(tblPr);
+
+        // Inserted and deleted rows follow the tracked-changes mode
+        const rows = this.getContentChildren(tbl, 'tr').filter(row => {
+            const trPr = getChildElements(row, 'trPr')[0];
+            const revision = trPr ? this.getMarkerRevision(trPr) : null;
+            if (revision) this.reportRevisions(trPr);
+            return !revision || this.includeRevision(revision);
+        });
+
+        const context = {
+            styleParts: styleParts,
+            look: this.parseTableLook(tblPr),
+            borders: {},
+            cellMargins: {},
+            rowBandSize: 1,
+            columnBandSize: 1,
+            rowCount: rows.length,
+            columnCount: table.columnWidths.length
+        };
+        for (const properties of tablePropertyChain) {
+            Object.assign(context.borders, this.parseBorders(getChildElements(properties, 'tblBorders')[0]));
+            Object.assign(context.cellMargins, this.parseCellMargins(getChildElements(properties, 'tblCellMar')[0]));
+
+            const rowBandSize = getChildElements(properties, 'tblStyleRowBandSize')[0];
+            const columnBandSize = getChildElements(properties, 'tblStyleColBandSize')[0];
+            if (rowBandSize) context.rowBandSize = parseInt(rowBandSize.getAttribute('w:val')) || 1;
+            if (columnBandSize) context.columnBandSize = parseInt(columnBandSize.getAttribute('w:val')) || 1;
         }
+        table.borders = context.borders;
+
+        rows.forEach((row, index) => {
+            table.rows.push(this.parseTableRow(row, context, index));
+        });
+
+        this.resolveVerticalMerges(table);
 
-        // Get rows
-        const rows = tbl.getElementsByTagNameNS(WORD_NS, 'tr');
-        for (const row of rows) {
-            table.rows.push(this.parseTableRow(row));
+        // A table without any visible cell border is written without borders
+        const cells = table.rows.flatMap(row => row.cells);
+        if (cells.length > 0 && cells.every(cell => Object.values(cell.borders).every(border => !this.isBorderVisible(border)))) {
+            table.border = 'borderNone';
         }
 
         return table;
     }
 
+    /**
+     * Read which conditional formats of the table style are switched on (w:tblLook)
+     * @param {Element|null} tblPr - Table properties element
+     * @returns {Object} Flags firstRow, lastRow, firstColumn, lastColumn, noHBand and noVBand
+     */
+    parseTableLook(tblPr) {
+        const look = {
+            firstRow: false,
+            lastRow: false,
+            firstColumn: false,
+            lastColumn: false,
+            noHBand: true,
+            noVBand: true
+        };
+
+        const tblLook = tblPr ? getChildElements(tblPr, 'tblLook')[0] : null;
+        if (!tblLook) return look;
+
+        // Older documents store the flags as a hexadecimal bit mask
+        const mask = parseInt(tblLook.getAttribute('w:val') || '', 16);
+        if (!isNaN(mask)) {
+            look.firstRow = (mask & 0x0020) !== 0;
+            look.lastRow = (mask & 0x0040) !== 0;
+            look.firstColumn = (mask & 0x0080) !== 0;
+            look.lastColumn = (mask & 0x0100) !== 0;
+            look.noHBand = (mask & 0x0200) !== 0;
+            look.noVBand = (mask & 0x0400) !== 0;
+        }
+
+        for (const name of Object.keys(look)) {
+            const value = tblLook.getAttribute(`w:${name}`);
+            if (value) look[name] = value === '1' || value === 'true' || value === 'on';
+        }
+
+        return look;
+    }
+
+    /**
+     * Parse a w:tblBorders or w:tcBorders element
+     * @param {Element|undefined} element - Borders element
+     * @returns {Object} Borders keyed by edge (top, left, bottom, right, insideH, insideV), only those present
+     */
+    parseBorders(element) {
+        const borders = {};
+        if (!element) return borders;
+
+        const edges = { start: 'left', end: 'right' };
+        for (const child of element.children) {
+            const edge = edges[child.localName] || child.localName;
+            const style = child.getAttribute('w:val') || 'none';
+            const color = child.getAttribute('w:color');
+
+            borders[edge] = {
+                style: style === 'nil' ? 'none' : style,
+                width: parseInt(child.getAttribute('w:sz') || '4') / 8, // Eighths of a point
+                color: color && color !== 'auto' ? '#' + color : null
+            };
+        }
+
+        return borders;
+    }
+
+    /**
+     * Parse a w:tblCellMar or w:tcMar element
+     * @param {Element|undefined} element - Cell margins element
+     * @returns {Object} Margins in points keyed by side (top, left, bottom, right), only those present
+     */
+    parseCellMargins(element) {
+        const margins = {};
+        if (!element) return margins;
+
+        const sides = { start: 'left', end: 'right' };
+        for (const child of element.children) {
+            const type = child.getAttribute('w:type') || 'dxa';
+            if (type !== 'dxa' && type !== 'nil') continue;
+
+            const side = sides[child.localName] || child.localName;
+            margins[side] = type === 'nil' ? 0 : parseInt(child.getAttribute('w:w') || '0') / 20;
+        }
+
+        return margins;
+    }
+
+    /**
+     * Check whether a border is drawn
+     * @param {Object|null|undefined} border - Parsed border
+     * @returns {boolean} True for visible borders
+     */
+    isBorderVisible(border) {
+        return Boolean(border) && border.style !== 'none' && border.width > 0;
+    }
+
+    /**
+     * Get the conditional formats of the table style that apply to a cell, lowest priority first
+     * @param {Object} context - Table context built by parseTable
+     * @param {{row: number, column: number, lastColumn: boolean}} position - Row index and grid position
+     * @returns {string[]} Condition types (w:tblStylePr w:type values)
+     */
+    getCellConditions(context, position) {
+        const look = context.look;
+        const firstRow = look.firstRow && position.row === 0;
+        const lastRow = look.lastRow && position.row === context.rowCount - 1;
+        const firstColumn = look.firstColumn && position.column === 0;
+        const lastColumn = look.lastColumn && position.lastColumn;
+        const conditions = ['wholeTable'];
+
+        // Banding skips the header and total rows/columns
+        if (!look.noVBand && !firstColumn && !lastColumn) {
+            const band = Math.floor((position.column - (look.firstColumn ? 1 : 0)) / context.columnBandSize);
+            conditions.push(band % 2 === 0 ? 'band1Vert' : 'band2Vert');
+        }
+        if (!look.noHBand && !firstRow && !lastRow) {
+            const band = Math.floor((position.row - (look.firstRow ? 1 : 0)) / context.rowBandSize);
+            conditions.push(band % 2 === 0 ? 'band1Horz' : 'band2Horz');
+        }
+
+        if (firstColumn) conditions.push('firstCol');
+        if (lastColumn) conditions.push('lastCol');
+        if (firstRow) conditions.push('firstRow');
+        if (lastRow) conditions.push('lastRow');
+
+        // Corner cells
+        if (firstRow && firstColumn) conditions.push('nwCell');
+        if (firstRow && lastColumn) conditions.push('neCell');
+        if (lastRow && firstColumn) conditions.push('swCell');
+        if (lastRow && lastColumn) conditions.push('seCell');
+
+        return conditions;
+    }
+
+    /**
+     * Turn w:vMerge continuation cells into rowspans on the cell that starts the merge.
+     * Cells are matched by grid column, so gridSpan and w:gridBefore shift them correctly.
+     * @param {Object} table - Parsed table (rows are updated in place)
+     */
+    resolveVerticalMerges(table) {
+        const origins = new Map(); // continuation cell -> cell that starts its merge
+        let previousRow = null;
+
+        for (const row of table.rows) {
+            for (const cell of row.cells) {
+                if (!cell.vMergeContinue) continue;
+
+                // The cell above in the same grid column, or the cell its own merge started from
+                const above = previousRow
+                    ? previousRow.cells.find(candidate => candidate.gridColumn === cell.gridColumn)
+                    : null;
+                const origin = above ? (origins.get(above) || above) : null;
+
+                if (origin && origin.colspan === cell.colspan) {
+                    origin.rowspan++;
+                    origins.set(cell, origin);
+                } else {
+                    // Nothing to merge with: keep the cell as an ordinary cell
+                    cell.vMergeContinue = false;
+                }
+            }
+            previousRow = row;
+        }
+    }
+
     /**
      * Parse a table row
      * @param {Element} tr - The table row element
+     * @param {Object} context - Table context built by parseTable
+     * @param {number} rowIndex - Index of the row in the table
      * @returns {Object} Parsed row
      */
-    parseTableRow(tr) {
+    parseTableRow(tr, context, rowIndex) {
         const row = {
             type: 'row',
-            cells: []
+            cells: [],
+            gridBefore: 0,
+            gridAfter: 0,
+            height: null,
+            header: false
         };
 
-        const cells = tr.getElementsByTagNameNS(WORD_NS, 'tc');
-        for (const cell of cells) {
-            row.cells.push(this.parseTableCell(cell));
+        // Row properties from the table style, then the row's own
+        const trPr = getChildElements(tr, 'trPr')[0];
+        const rowPropertyChain = [...(context.styleParts.wholeTable ? context.styleParts.wholeTable.trPr : [])];
+        if (trPr) rowPropertyChain.push(trPr);
+
+        for (const properties of rowPropertyChain) {
+            // Grid columns skipped before the first and after the last cell
+            const gridBefore = getChildElements(properties, 'gridBefore')[0];
+            const gridAfter = getChildElements(properties, 'gridAfter')[0];
+            if (gridBefore) row.gridBefore = parseInt(gridBefore.getAttribute('w:val') || '0');
+            if (gridAfter) row.gridAfter = parseInt(gridAfter.getAttribute('w:val') || '0');
+
+            const trHeight = getChildElements(properties, 'trHeight')[0];
+            if (trHeight) {
+                row.height = {
+                    value: parseInt(trHeight.getAttribute('w:val') || '0') / 20,
+                    rule: trHeight.getAttribute('w:hRule') || 'atLeast'
+                };
+            }
+
+            // Header rows repeat at the top of each page
+            const tblHeader = getChildElements(properties, 'tblHeader')[0];
+            if (tblHeader) row.header = this.isToggleOn(tblHeader);
         }
 
+        const cells = this.getContentChildren(tr, 'tc');
+        let column = row.gridBefore;
+        cells.forEach((tc, index) => {
+            const position = { row: rowIndex, column: column, isLastCell: index === cells.length - 1 };
+            const cell = this.parseTableCell(tc, context, position);
+            column += cell.colspan;
+            row.cells.push(cell);
+        });
+
         return row;
     }
 
     /**
      * Parse a table cell
      * @param {Element} tc - The table cell element
+     * @param {Object} context - Table context built by parseTable
+     * @param {{row: number, column: number, isLastCell: boolean}} position - Row index, grid column and
+     *        whether the cell is the last of its row
      * @returns {Object} Parsed cell
      */
-    parseTableCell(tc) {
+    parseTableCell(tc, context, position) {
         const cell = {
             type: 'cell',
-            paragraphs: [],
+            elements: [],
             colspan: 1,
             rowspan: 1,
+            gridColumn: position.column,
             vAlign: 'top',
-            bgColor: null
+            bgColor: null,
+            borders: {},
+            margins: { top: 0, right: 0, bottom: 0, left: 0 }
         };
 
         // Get cell properties
-        const tcPr = tc.getElementsByTagNameNS(WORD_NS, 'tcPr')[0];
+        const tcPr = getChildElements(tc, 'tcPr')[0];
         if (tcPr) {
             // Grid span (colspan)
-            const gridSpan = tcPr.getElementsByTagNameNS(WORD_NS, 'gridSpan')[0];
+            const gridSpan = getChildElements(tcPr, 'gridSpan')[0];
             if (gridSpan) {
                 cell.colspan = parseInt(gridSpan.getAttribute('w:val') || '1');
             }
 
             // Vertical merge
-            const vMerge = tcPr.getElementsByTagNameNS(WORD_NS, 'vMerge')[0];
+            const vMerge = getChildElements(tcPr, 'vMerge')[0];
             if (vMerge) {
                 const val = vMerge.getAttribute('w:val');
                 if (!val || val === 'continue') {
@@ -481,27 +2445,63 @@ class DocxParser {
                     cell.vMergeStart = true;
                 }
             }
+        }
+
+        // Conditional formats of the table style that apply to this cell; without a table grid
+        // the last cell of the row is the last column
+        position.lastColumn = context.columnCount > 0
+            ? position.column + cell.colspan >= context.columnCount
+            : position.isLastCell;
+        const parts = this.getCellConditions(context, position)
+            .map(condition => context.styleParts[condition])
+            .filter(Boolean);
+
+        // Edges take the table's outer or inside borders, cell margins the table defaults
+        const tableBorders = context.borders;
+        cell.borders = {
+            top: (position.row === 0 ? tableBorders.top : tableBorders.insideH) || null,
+            right: (position.lastColumn ? tableBorders.right : tableBorders.insideV) || null,
+            bottom: (position.row === context.rowCount - 1 ? tableBorders.bottom : tableBorders.insideH) || null,
+            left: (position.column === 0 ? tableBorders.left : tableBorders.insideV) || null
+        };
+        Object.assign(cell.margins, context.cellMargins);
+
+        // Cell properties: conditional formatting < direct formatting
+        const cellPropertyChain = parts.flatMap(part => part.tcPr);
+        if (tcPr) cellPropertyChain.push(tcPr);
 
+        for (const properties of cellPropertyChain) {
             // Vertical alignment
-            const vAlign = tcPr.getElementsByTagNameNS(WORD_NS, 'vAlign')[0];
+            const vAlign = getChildElements(properties, 'vAlign')[0];
             if (vAlign) {
                 cell.vAlign = vAlign.getAttribute('w:val') || 'top';
             }
 
             // Background color
-            const shd = tcPr.getElementsByTagNameNS(WORD_NS, 'shd')[0];
+            const shd = getChildElements(properties, 'shd')[0];
             if (shd) {
                 const fill = shd.getAttribute('w:fill');
-                if (fill && fill !== 'auto') {
-                    cell.bgColor = '#' + fill;
-                }
+                cell.bgColor = fill && fill !== 'auto' ? '#' + fill : null;
+            }
+
+            const borders = this.parseBorders(getChildElements(properties, 'tcBorders')[0]);
+            for (const edge of ['top', 'right', 'bottom', 'left']) {
+                if (borders[edge]) cell.borders[edge] = borders[edge];
             }
+
+            Object.assign(cell.margins, this.parseCellMargins(getChildElements(properties, 'tcMar')[0]));
         }
 
-        // Get paragraphs in cell
-        const paragraphs = tc.getElementsByTagNameNS(WORD_NS, 'p');
-        for (const para of paragraphs) {
-            cell.paragraphs.push(this.parseParagraph(para));
+        // Cell content: paragraphs and nested tables, in document order, with the
+        // conditional paragraph and run formatting (e.g. a bold header row) applied
+        this.cellFormatting.push({
+            pPr: parts.flatMap(part => part.pPr),
+            rPr: parts.flatMap(part => part.rPr)
+        });
+        try {
+            cell.elements = this.extractBlockElements(tc);
+        } finally {
+            this.cellFormatting.pop();
         }
 
         return cell;
@@ -534,3 +2534,83 @@ class DocxParser {
         return Math.round(parseInt(twips) / 20);
     }
 }
+
+DocxParser.DEFAULT_OPTIONS = {
+    trackChanges: 'accept',
+    comments: 'strip',
+    placeholders: 'keep'
+};
+
+// Fill-in line written for unfilled content controls when placeholders are blanked
+DocxParser.PLACEHOLDER_BLANK = '..............................';
+
+// Height of a single-spaced line in points, used to turn exact line spacing into a multiple
+DocxParser.SINGLE_LINE_HEIGHT = 12;
+
+// Tab stop alignments by w:tab w:val (start/end are the bidi-aware names of left/right; num is a list tab)
+DocxParser.TAB_ALIGNMENTS = {
+    left: 'left',
+    start: 'left',
+    num: 'left',
+    right: 'right',
+    end: 'right',
+    center: 'center',
+    decimal: 'decimal',
+    bar: 'bar'
+};
+
+// Unicode characters of the glyphs of symbol fonts (w:sym), by the low byte of their code point
+DocxParser.SYMBOL_FONTS = {
+    symbol: {
+        0x22: '∀', 0x24: '∃', 0x27: '∋', 0x2A: '∗', 0x2D: '−', 0x40: '≅', 0x5C: '∴', 0x5E: '⊥',
+        0x60: '‾', 0x7E: '∼', 0xA2: '′', 0xA3: '≤', 0xA5: '∞', 0xA7: '♣', 0xA8: '♦', 0xA9: '♥',
+        0xAA: '♠', 0xAB: '↔', 0xAC: '←', 0xAD: '↑', 0xAE: '→', 0xAF: '↓', 0xB0: '°', 0xB1: '±',
+        0xB2: '″', 0xB3: '≥', 0xB4: '×', 0xB5: '∝', 0xB6: '∂', 0xB7: '•', 0xB8: '÷', 0xB9: '≠',
+        0xBA: '≡', 0xBB: '≈', 0xBC: '…', 0xC5: '⊕', 0xC6: '∅', 0xC7: '∩', 0xC8: '∪', 0xCC: '⊂',
+        0xCD: '⊆', 0xCE: '∈', 0xCF: '∉', 0xD0: '∠', 0xD1: '∇', 0xD2: '®', 0xD3: '©', 0xD4: '™',
+        0xD5: '∏', 0xD6: '√', 0xD7: '⋅', 0xD8: '¬', 0xD9: '∧', 0xDA: '∨', 0xDB: '⇔', 0xDC: '⇐',
+        0xDD: '⇑', 0xDE: '⇒', 0xDF: '⇓', 0xE0: '◊', 0xE5: '∑', 0xF2: '∫'
+    },
+    wingdings: {
+        0x28: '☎', 0x4A: '☺', 0x4C: '☹', 0x6C: '●', 0x6E: '■', 0x6F: '□', 0x71: '❑',
+        0x75: '◆', 0x76: '❖', 0x9F: '•', 0xA7: '▪', 0xA8: '◻', 0xD8: '➢', 0xFB: '✗', 0xFC: '✓',
+        0xFD: '☒', 0xFE: '☑'
+    }
+};
+
+// Greek letters sit on the Latin letters of the Symbol font; digits and most punctuation are unchanged
+'ΑΒΧΔΕΦΓΗΙϑΚΛΜΝΟΠΘΡΣΤΥςΩΞΨΖ'.split('').forEach((letter, index) => {
+    DocxParser.SYMBOL_FONTS.symbol[0x41 + index] = letter;
+});
+'αβχδεφγηιϕκλμνοπθρστυϖωξψζ'.split('').forEach((letter, index) => {
+    DocxParser.SYMBOL_FONTS.symbol[0x61 + index] = letter;
+});
+for (const character of ' !#%&()+,./0123456789:;<=>?[]_{|}') {
+    DocxParser.SYMBOL_FONTS.symbol[character.charCodeAt(0)] = character;
+}
+
+// Colors of the w:highlight palette
+DocxParser.HIGHLIGHT_COLORS = {
+    yellow: '#FFFF00',
+    green: '#00FF00',
+    cyan: '#00FFFF',
+    magenta: '#FF00FF',
+    blue: '#0000FF',
+    red: '#FF0000',
+    darkBlue: '#000080',
+    darkCyan: '#008080',
+    darkGreen: '#008000',
+    darkMagenta: '#800080',
+    darkRed: '#800000',
+    darkYellow: '#808000',
+    darkGray: '#808080',
+    lightGray: '#C0C0C0',
+    black: '#000000',
+    white: '#FFFFFF'
+};
+
+// Colors of tracked insertions and deletions in markup mode
+DocxParser.REVISION_COLORS = {
+    inserted: '#0070C0',
+    deleted: '#C00000'
+};
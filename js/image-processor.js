@@ -0,0 +1,319 @@
+/**
+ * Image Processor Module
+ * Normalizes embedded images before UDF generation: converts formats UYAP cannot display,
+ * applies cropping, rotation and flips, downsamples images to their displayed size and recompresses JPEGs
+ */
+
+class ImageProcessor {
+    /**
+     * @param {Object} [options] - Processing options
+     * @param {number} [options.dpi] - Resolution at the displayed size; larger images are downsampled (0 keeps every pixel)
+     * @param {number} [options.jpegQuality] - JPEG quality between 0 and 1 (0 keeps JPEGs as they are)
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, ImageProcessor.DEFAULT_OPTIONS, options);
+        this.cache = new Map();
+        this.stats = { count: 0, originalSize: 0, size: 0 };
+        this.report = new ConversionReport();
+    }
+
+    /**
+     * Check whether images can be decoded and re-encoded (needs a canvas, so browsers only)
+     * @returns {boolean} True when the canvas APIs are available
+     */
+    static isSupported() {
+        return typeof createImageBitmap === 'function' &&
+            (typeof OffscreenCanvas === 'function' || typeof document !== 'undefined');
+    }
+
+    /**
+     * Process every image of a parsed document in place
+     * @param {Object} document - Parsed document structure from DocxParser
+     * @returns {Promise<Object>} The document, its warnings extended with the image warnings
+     */
+    async process(document) {
+        this.cache = new Map();
+        this.stats = { count: 0, originalSize: 0, size: 0 };
+        this.report = new ConversionReport(document.warnings || []);
+
+        const parts = [
+            document.elements,
+            ...Object.values(document.headers || {}),
+            ...Object.values(document.footers || {}),
+            ...Object.values(document.footnotes || {}).map(note => note.elements),
+            ...Object.values(document.endnotes || {}).map(note => note.elements)
+        ];
+        let imageCount = 0;
+        for (const elements of parts) {
+            for (const image of this.collectImages(elements)) {
+                await this.processImage(image);
+                imageCount++;
+            }
+        }
+
+        // Without a canvas (e.g. the Node CLI) images keep their full resolution and size
+        if (imageCount > 0 && !ImageProcessor.isSupported() && (this.options.dpi || this.options.jpegQuality)) {
+            this.report.add('approximated', 'image-not-optimized',
+                `${imageCount} image(s) embedded without downsampling or recompression (this needs a browser canvas)`);
+        }
+
+        if (this.stats.count > 0) {
+            this.report.add('approximated', 'image-optimized',
+                `${this.stats.count} image(s) downsampled or recompressed: ` +
+                `${formatFileSize(this.stats.originalSize)} → ${formatFileSize(this.stats.size)}`);
+        }
+
+        document.warnings = this.report.warnings;
+        return document;
+    }
+
+    /**
+     * Collect the embedded image runs of a list of elements, including those inside table cells
+     * @param {Array} elements - Paragraphs and tables
+     * @param {Array} [images] - Accumulator
+     * @returns {Object[]} Image runs
+     */
+    collectImages(elements, images = []) {
+        for (const element of elements || []) {
+            if (element.type === 'paragraph') {
+                images.push(...element.runs.filter(run => run.type === 'image' && run.data));
+            } else if (element.type === 'table') {
+                for (const row of element.rows) {
+                    for (const cell of row.cells) {
+                        this.collectImages(cell.elements, images);
+                    }
+                }
+            }
+        }
+        return images;
+    }
+
+    /**
+     * Replace the data of an image run with its normalized version
+     * @param {Object} image - Image run (data, name, width and height in points, crop, rotation, flips)
+     */
+    async processImage(image) {
+        const extension = getFileExtension(image.name || '');
+        const key = JSON.stringify([image.name, image.width, image.height, image.crop, image.rotation, image.flipH, image.flipV]);
+
+        // The same picture is often repeated (e.g. a logo on every page)
+        if (!this.cache.has(key)) {
+            this.cache.set(key, await this.transform(image, extension));
+        }
+        const result = this.cache.get(key);
+        image.data = result.data;
+        image.width = result.width;
+        image.height = result.height;
+
+        if (result.placeholder) {
+            this.report.add('dropped', 'unsupported-image',
+                `${extension.toUpperCase()} image replaced by a placeholder (it could not be converted)`, image.location);
+        } else if (result.converted) {
+            this.report.add('approximated', 'converted-image',
+                `${extension.toUpperCase()} image converted to PNG`, image.location);
+        }
+        if (this.hasTransform(image) && !result.transformed && !result.placeholder) {
+            this.report.add('approximated', 'image-transform',
+                'Image cropping, rotation or flip not applied', image.location);
+        }
+    }
+
+    /**
+     * Check whether an image is cropped, rotated or flipped
+     * @param {Object} image - Image run
+     * @returns {boolean} True when the pixels need to be transformed
+     */
+    hasTransform(image) {
+        return Boolean(image.crop || image.rotation || image.flipH || image.flipV);
+    }
+
+    /**
+     * Convert, crop, rotate, downsample and recompress one image
+     * @param {Object} image - Image run
+     * @param {string} extension - File extension of the media part
+     * @returns {Promise<Object>} Base64 data to embed with its displayed width and height in points,
+     *          and whether it was converted, transformed or replaced by a placeholder
+     */
+    async transform(image, extension) {
+        const unsupported = ImageProcessor.UNSUPPORTED_FORMATS.includes(extension);
+        const transformed = this.hasTransform(image);
+        const keep = (size) => ({
+            data: image.data, width: size.width, height: size.height,
+            converted: false, transformed: false, placeholder: false
+        });
+        const placeholder = Object.assign(keep(this.getDisplaySize(image, null)),
+            { data: ImageProcessor.PLACEHOLDER_PNG, placeholder: true });
+
+        if (!ImageProcessor.isSupported()) {
+            return unsupported ? placeholder : keep(this.getDisplaySize(image, null));
+        }
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(new Blob([base64ToUint8Array(image.data)]));
+        } catch (error) {
+            // Browsers cannot decode EMF/WMF, and most cannot decode TIFF
+            if (!unsupported) console.warn(`Could not decode image ${image.name}:`, error);
+            return unsupported ? placeholder : keep(this.getDisplaySize(image, null));
+        }
+
+        try {
+            const source = this.getSourceRect(bitmap, image.crop);
+            const size = this.getDisplaySize(image, source);
+            const frame = this.getFrameSize(source, size);
+            const resized = frame.width < source.width || frame.height < source.height;
+            const isJpeg = ['jpg', 'jpeg', 'jpe'].includes(extension);
+            const recompress = isJpeg && this.options.jpegQuality > 0;
+            if (!unsupported && !transformed && !resized && !recompress) return keep(size);
+
+            // JPEGs stay JPEG; everything else becomes PNG, which keeps transparency
+            const blob = await this.encode(bitmap, source, frame, image, isJpeg ? 'image/jpeg' : 'image/png');
+            const data = arrayBufferToBase64(await blob.arrayBuffer());
+
+            // Re-encoding an already small image can make it larger
+            if (!unsupported && !transformed && data.length >= image.data.length) return keep(size);
+
+            if (resized || recompress) {
+                this.stats.count++;
+                this.stats.originalSize += Math.round(image.data.length * 3 / 4);
+                this.stats.size += blob.size;
+            }
+
+            // A rotated picture takes up its bounding box
+            const displayed = this.getRotatedSize(size, image.rotation);
+            return {
+                data: data, width: displayed.width, height: displayed.height,
+                converted: unsupported, transformed: transformed, placeholder: false
+            };
+        } catch (error) {
+            console.warn(`Could not process image ${image.name}:`, error);
+            return unsupported ? placeholder : keep(this.getDisplaySize(image, null));
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Get the part of an image that remains after cropping
+     * @param {ImageBitmap} bitmap - Decoded image
+     * @param {Object|undefined} crop - Fractions cut from each side
+     * @returns {{x: number, y: number, width: number, height: number}} Source rectangle in pixels
+     */
+    getSourceRect(bitmap, crop) {
+        crop = crop || { left: 0, top: 0, right: 0, bottom: 0 };
+        return {
+            x: Math.round(bitmap.width * crop.left),
+            y: Math.round(bitmap.height * crop.top),
+            width: Math.max(1, Math.round(bitmap.width * (1 - crop.left - crop.right))),
+            height: Math.max(1, Math.round(bitmap.height * (1 - crop.top - crop.bottom)))
+        };
+    }
+
+    /**
+     * Get the displayed size of an image, deriving a missing dimension from its aspect ratio
+     * @param {Object} image - Image run with width and height in points (either may be null)
+     * @param {Object|null} source - Source rectangle, or null when the pixels are unknown (taken as square)
+     * @returns {{width: number, height: number}} Size in points
+     */
+    getDisplaySize(image, source) {
+        const ratio = source ? source.width / source.height : 1;
+        return {
+            width: image.width !== null ? image.width : Math.round(image.height * ratio),
+            height: image.height !== null ? image.height : Math.round(image.width / ratio)
+        };
+    }
+
+    /**
+     * Compute the pixel size of the picture frame at the configured DPI
+     * @param {Object} source - Source rectangle in pixels
+     * @param {{width: number, height: number}} size - Displayed size in points
+     * @returns {{width: number, height: number}} Frame size in pixels, never sharper than the source
+     */
+    getFrameSize(source, size) {
+        if (!size.width || !size.height) {
+            return { width: source.width, height: source.height };
+        }
+
+        // Pixels per point at full resolution, capped at the configured DPI
+        let scale = Math.max(source.width / size.width, source.height / size.height);
+        if (this.options.dpi) scale = Math.min(scale, this.options.dpi / 72);
+        return {
+            width: Math.max(1, Math.round(size.width * scale)),
+            height: Math.max(1, Math.round(size.height * scale))
+        };
+    }
+
+    /**
+     * Get the bounding box of a rectangle rotated around its center
+     * @param {{width: number, height: number}} size - Rectangle size
+     * @param {number} [rotation] - Clockwise rotation in degrees
+     * @returns {{width: number, height: number}} Bounding box size
+     */
+    getRotatedSize(size, rotation = 0) {
+        const radians = rotation * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        return {
+            width: Math.max(1, Math.round(size.width * cos + size.height * sin)),
+            height: Math.max(1, Math.round(size.width * sin + size.height * cos))
+        };
+    }
+
+    /**
+     * Draw the cropped, flipped and rotated image into its frame and encode it
+     * @param {ImageBitmap} bitmap - Decoded image
+     * @param {Object} source - Source rectangle in pixels
+     * @param {{width: number, height: number}} frame - Frame size in pixels, before rotation
+     * @param {Object} image - Image run with its rotation and flips
+     * @param {string} type - 'image/png' or 'image/jpeg'
+     * @returns {Promise<Blob>} Encoded image
+     */
+    async encode(bitmap, source, frame, image, type) {
+        // A resized JPEG is re-encoded even when recompression is off
+        const quality = type === 'image/jpeg'
+            ? this.options.jpegQuality || ImageProcessor.DEFAULT_OPTIONS.jpegQuality
+            : undefined;
+        const { width, height } = this.getRotatedSize(frame, image.rotation);
+        let canvas;
+        if (typeof OffscreenCanvas === 'function') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        const context = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            // JPEG has no alpha channel; transparent pixels would turn black
+            context.fillStyle = '#FFFFFF';
+            context.fillRect(0, 0, width, height);
+        }
+        context.imageSmoothingQuality = 'high';
+
+        // Flips apply first, then the rotation around the frame's center
+        context.translate(width / 2, height / 2);
+        context.rotate((image.rotation || 0) * Math.PI / 180);
+        context.scale(image.flipH ? -1 : 1, image.flipV ? -1 : 1);
+        context.drawImage(bitmap, source.x, source.y, source.width, source.height,
+            -frame.width / 2, -frame.height / 2, frame.width, frame.height);
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: type, quality: quality });
+        }
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Image encoding failed')), type, quality);
+        });
+    }
+}
+
+ImageProcessor.DEFAULT_OPTIONS = {
+    dpi: 150,
+    jpegQuality: 0.85
+};
+
+// Formats UYAP cannot display
+ImageProcessor.UNSUPPORTED_FORMATS = ['emf', 'wmf', 'tif', 'tiff'];
+
+// Light grey 1×1 PNG, stretched to the image's size where a picture cannot be converted
+ImageProcessor.PLACEHOLDER_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGO4efMmAAUaAoy1sJipAAAAAElFTkSuQmCC';
@@ -0,0 +1,182 @@
+/**
+ * Style Resolver Module
+ * Loads word/styles.xml and resolves style inheritance (docDefaults, basedOn chains, linked styles)
+ */
+
+class StyleResolver {
+    constructor() {
+        this.styles = {};
+        this.defaultRunProperties = null;
+        this.defaultParagraphProperties = null;
+        this.defaultStyleIds = {};
+    }
+
+    /**
+     * Load style definitions from a parsed styles.xml document
+     * @param {Document} stylesDoc - Parsed word/styles.xml
+     */
+    load(stylesDoc) {
+        this.styles = {};
+        this.defaultRunProperties = null;
+        this.defaultParagraphProperties = null;
+        this.defaultStyleIds = {};
+
+        // Document defaults apply underneath every style
+        const docDefaults = stylesDoc.getElementsByTagNameNS(WORD_NS, 'docDefaults')[0];
+        if (docDefaults) {
+            const rPrDefault = getChildElements(docDefaults, 'rPrDefault')[0];
+            if (rPrDefault) {
+                this.defaultRunProperties = getChildElements(rPrDefault, 'rPr')[0] || null;
+            }
+
+            const pPrDefault = getChildElements(docDefaults, 'pPrDefault')[0];
+            if (pPrDefault) {
+                this.defaultParagraphProperties = getChildElements(pPrDefault, 'pPr')[0] || null;
+            }
+        }
+
+        for (const style of stylesDoc.getElementsByTagNameNS(WORD_NS, 'style')) {
+            const styleId = style.getAttribute('w:styleId');
+            if (!styleId) continue;
+
+            const type = style.getAttribute('w:type') || 'paragraph';
+            const name = getChildElements(style, 'name')[0];
+            const basedOn = getChildElements(style, 'basedOn')[0];
+            const link = getChildElements(style, 'link')[0];
+
+            this.styles[styleId] = {
+                id: styleId,
+                type: type,
+                name: name ? name.getAttribute('w:val') : styleId,
+                basedOn: basedOn ? basedOn.getAttribute('w:val') : null,
+                link: link ? link.getAttribute('w:val') : null,
+                pPr: getChildElements(style, 'pPr')[0] || null,
+                rPr: getChildElements(style, 'rPr')[0] || null,
+                element: style
+            };
+
+            // The default style of each type applies when nothing is referenced
+            const isDefault = style.getAttribute('w:default');
+            if (isDefault === '1' || isDefault === 'true') {
+                this.defaultStyleIds[type] = styleId;
+            }
+        }
+    }
+
+    /**
+     * Find a style of the given type, following w:link when the id names the linked counterpart
+     * @param {string|null} styleId - Referenced style id
+     * @param {string} type - Expected style type ('paragraph', 'character', 'table')
+     * @returns {Object|null} Style entry
+     */
+    getStyle(styleId, type) {
+        const style = styleId ? this.styles[styleId] : null;
+        if (!style) return null;
+        if (style.type === type) return style;
+
+        // Paragraph and character styles can be linked to each other
+        const linked = style.link ? this.styles[style.link] : null;
+        return linked && linked.type === type ? linked : null;
+    }
+
+    /**
+     * Get the basedOn chain of a style, from the root ancestor down to the style itself
+     * @param {Object|null} style - Style entry
+     * @returns {Object[]} Style entries
+     */
+    getChain(style) {
+        const chain = [];
+        const seen = new Set();
+
+        while (style && !seen.has(style.id)) {
+            seen.add(style.id);
+            chain.unshift(style);
+            style = style.basedOn ? this.styles[style.basedOn] : null;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Get the paragraph style that applies to a paragraph
+     * @param {string|null} styleId - The w:pStyle value
+     * @returns {Object|null} Style entry
+     */
+    getParagraphStyle(styleId) {
+        return this.getStyle(styleId, 'paragraph') ||
+            this.getStyle(this.defaultStyleIds.paragraph, 'paragraph');
+    }
+
+    /**
+     * Get the w:pPr elements that contribute to a paragraph, lowest priority first
+     * @param {string|null} styleId - The w:pStyle value
+     * @param {Element[]} [tableProperties] - w:pPr elements of the enclosing table's style
+     * @returns {Element[]} Paragraph property elements
+     */
+    getParagraphPropertyChain(styleId, tableProperties = []) {
+        const chain = [];
+        if (this.defaultParagraphProperties) chain.push(this.defaultParagraphProperties);
+
+        // Table style formatting sits between the document defaults and the paragraph style
+        chain.push(...tableProperties);
+
+        for (const style of this.getChain(this.getParagraphStyle(styleId))) {
+            if (style.pPr) chain.push(style.pPr);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Get the w:rPr elements that contribute to a run, lowest priority first
+     * @param {string|null} paragraphStyleId - The paragraph's w:pStyle value
+     * @param {string|null} runStyleId - The run's w:rStyle value
+     * @param {Element[]} [tableProperties] - w:rPr elements of the enclosing table's style
+     * @returns {Element[]} Run property elements
+     */
+    getRunPropertyChain(paragraphStyleId, runStyleId, tableProperties = []) {
+        const chain = [];
+        if (this.defaultRunProperties) chain.push(this.defaultRunProperties);
+        chain.push(...tableProperties);
+
+        for (const style of this.getChain(this.getParagraphStyle(paragraphStyleId))) {
+            if (style.rPr) chain.push(style.rPr);
+        }
+
+        const characterStyle = this.getStyle(runStyleId, 'character') ||
+            this.getStyle(this.defaultStyleIds.character, 'character');
+        for (const style of this.getChain(characterStyle)) {
+            if (style.rPr) chain.push(style.rPr);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Collect the properties of a table style and its conditional formatting (w:tblStylePr),
+     * lowest priority first; the default table style applies when none is referenced
+     * @param {string|null} styleId - The w:tblStyle value
+     * @returns {Object} Property elements keyed by condition ('wholeTable', 'firstRow', 'band1Horz', ...),
+     *          each with tblPr, trPr, tcPr, pPr and rPr arrays
+     */
+    getTableStyleParts(styleId) {
+        const parts = {};
+        const addPart = (type, source) => {
+            const part = parts[type] || (parts[type] = { tblPr: [], trPr: [], tcPr: [], pPr: [], rPr: [] });
+            for (const name of Object.keys(part)) {
+                const element = getChildElements(source, name)[0];
+                if (element) part[name].push(element);
+            }
+        };
+
+        const style = this.getStyle(styleId, 'table') || this.getStyle(this.defaultStyleIds.table, 'table');
+        for (const entry of this.getChain(style)) {
+            addPart('wholeTable', entry.element);
+            for (const conditional of getChildElements(entry.element, 'tblStylePr')) {
+                addPart(conditional.getAttribute('w:type'), conditional);
+            }
+        }
+
+        return parts;
+    }
+}
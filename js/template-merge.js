@@ -0,0 +1,330 @@
+/**
+ * Template Merge Module
+ * Fills {{placeholders}} in a parsed document with the values of a data record (a JSON object
+ * or a CSV row) between parsing and UDF generation; table rows repeat for lists such as the parties
+ */
+
+class TemplateMerger {
+    /**
+     * @param {Object} [options] - Merge options
+     * @param {string} [options.missing] - Placeholders without a value: 'keep' (left in the text) or 'blank'
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, TemplateMerger.DEFAULT_OPTIONS, options);
+        this.report = new ConversionReport();
+    }
+
+    /**
+     * Read merge records from a data file
+     * @param {string} text - File content
+     * @param {string} extension - 'json' or 'csv'
+     * @returns {Object[]} Records; a JSON object is a single record, CSV rows are keyed by the header row
+     */
+    static parseData(text, extension) {
+        if (extension === 'csv') {
+            const [header, ...rows] = parseCsv(text);
+            if (!header) return [];
+
+            const keys = header.map(key => key.trim());
+            return rows.map(row => {
+                const record = {};
+                keys.forEach((key, index) => {
+                    if (key) record[key] = (row[index] || '').trim();
+                });
+                return record;
+            });
+        }
+
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : [data];
+        if (records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('Merge data must be an object or an array of objects');
+        }
+        return records;
+    }
+
+    /**
+     * Merge a record into a copy of a parsed document
+     * @param {Object} document - Parsed document structure from DocxParser (left unchanged)
+     * @param {Object} record - Values by placeholder name
+     * @returns {Object} Merged document, its warnings extended with the merge warnings
+     */
+    merge(document, record) {
+        // Every record gets its own copy; notes stay shared between their references and lists
+        const merged = structuredClone(document);
+        this.report = new ConversionReport(merged.warnings || []);
+
+        const parts = [
+            merged.elements,
+            ...Object.values(merged.headers || {}),
+            ...Object.values(merged.footers || {}),
+            ...Object.values(merged.footnotes || {}).map(note => note.elements),
+            ...Object.values(merged.endnotes || {}).map(note => note.elements)
+        ];
+        for (const elements of parts) {
+            this.mergeElements(elements || [], record);
+        }
+
+        merged.warnings = this.report.warnings;
+        return merged;
+    }
+
+    /**
+     * Fill the placeholders of a plain string (e.g. an output file name); unknown ones become empty
+     * @param {string} text - Text with {{placeholders}}
+     * @param {Object} record - Values by placeholder name
+     * @returns {string} Filled text
+     */
+    fillText(text, record) {
+        return text.replace(TemplateMerger.PLACEHOLDER, (placeholder, name) => {
+            const value = this.resolve(record, name);
+            return value === undefined || value === null ? '' : this.formatValue(value);
+        });
+    }
+
+    /**
+     * Merge a list of paragraphs and tables in place
+     * @param {Array} elements - Block elements
+     * @param {Object} scope - Values by placeholder name
+     */
+    mergeElements(elements, scope) {
+        for (let index = 0; index < elements.length; index++) {
+            const element = elements[index];
+            if (element.type === 'paragraph') {
+                this.mergeParagraph(element, scope);
+            } else if (element.type === 'table') {
+                this.mergeTable(element, scope);
+
+                // A table whose only rows repeat over empty lists has nothing left to show
+                if (element.rows.length === 0) {
+                    this.report.add('approximated', 'merge-table', 'Table removed: its rows repeat over empty lists');
+                    elements.splice(index--, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Merge a table, repeating each row whose placeholders refer to a list once per list item
+     * @param {Object} table - Parsed table
+     * @param {Object} scope - Values by placeholder name
+     */
+    mergeTable(table, scope) {
+        const rows = [];
+
+        for (const row of table.rows) {
+            const key = this.getRepeatKey(row, scope);
+            if (!key) {
+                this.mergeRow(row, scope);
+                rows.push(row);
+                continue;
+            }
+
+            // Copies of a row with vertically merged cells would break the merge
+            if (row.cells.some(cell => cell.rowspan > 1 || cell.vMergeContinue)) {
+                this.report.add('approximated', 'merge-row',
+                    `Row for "${key}" not repeated: it has vertically merged cells`);
+                this.mergeRow(row, scope);
+                rows.push(row);
+                continue;
+            }
+
+            // {{list.field}} takes the item's field and {{#}} its number; an empty list removes the row
+            this.resolve(scope, key).forEach((item, index) => {
+                const copy = structuredClone(row);
+                this.mergeRow(copy, Object.assign({}, scope, { [key]: item, '#': index + 1 }));
+                rows.push(copy);
+            });
+        }
+
+        table.rows = rows;
+    }
+
+    /**
+     * Merge the cells of a table row
+     * @param {Object} row - Parsed table row
+     * @param {Object} scope - Values by placeholder name
+     */
+    mergeRow(row, scope) {
+        for (const cell of row.cells) {
+            this.mergeElements(cell.elements || [], scope);
+        }
+    }
+
+    /**
+     * Find the list a table row repeats over: the first placeholder of the row naming an array
+     * @param {Object} row - Parsed table row
+     * @param {Object} scope - Values by placeholder name
+     * @returns {string|null} Name of the list
+     */
+    getRepeatKey(row, scope) {
+        for (const name of this.collectPlaceholders(row.cells.flatMap(cell => cell.elements || []))) {
+            const key = name.split('.')[0];
+            if (Array.isArray(this.resolve(scope, key))) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Collect the placeholder names used in block elements, including nested tables
+     * @param {Array} elements - Block elements
+     * @param {string[]} [names] - Accumulator
+     * @returns {string[]} Placeholder names
+     */
+    collectPlaceholders(elements, names = []) {
+        for (const element of elements) {
+            if (element.type === 'paragraph') {
+                const text = element.runs.filter(run => run.type === 'text').map(run => run.text).join('');
+                for (const match of text.matchAll(TemplateMerger.PLACEHOLDER)) {
+                    names.push(match[1]);
+                }
+            } else if (element.type === 'table') {
+                for (const row of element.rows) {
+                    this.collectPlaceholders(row.cells.flatMap(cell => cell.elements || []), names);
+                }
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Merge the placeholders of a paragraph; Word often splits "{{name}}" over several runs
+     * (spelling marks, revisions), so each stretch of text runs is searched as a whole
+     * @param {Object} paragraph - Parsed paragraph
+     * @param {Object} scope - Values by placeholder name
+     */
+    mergeParagraph(paragraph, scope) {
+        let group = [];
+        for (const run of [...paragraph.runs, null]) {
+            if (run && run.type === 'text') {
+                group.push(run);
+                continue;
+            }
+            if (group.length > 0) this.mergeRuns(group, scope);
+            group = [];
+        }
+
+        // Line breaks in values become breaks; runs emptied by the merge go away
+        const runs = [];
+        for (const run of paragraph.runs) {
+            if (run.type !== 'text') {
+                runs.push(run);
+                continue;
+            }
+
+            run.text.split(/\r?\n/).forEach((line, index) => {
+                if (index > 0) runs.push({ type: 'break' });
+                if (line) runs.push(Object.assign({}, run, { text: line }));
+            });
+        }
+        paragraph.runs = runs;
+    }
+
+    /**
+     * Replace the placeholders of consecutive text runs; each value takes the formatting of the run
+     * where its placeholder starts, and the text after it keeps its own
+     * @param {Object[]} runs - Consecutive text runs
+     * @param {Object} scope - Values by placeholder name
+     */
+    mergeRuns(runs, scope) {
+        const starts = [];
+        let text = '';
+        for (const run of runs) {
+            starts.push(text.length);
+            text += run.text;
+        }
+
+        const findRun = (position) => {
+            let index = 0;
+            while (index + 1 < runs.length && starts[index + 1] <= position) index++;
+            return index;
+        };
+
+        // Values are looked up in reading order, then replaced from the last placeholder back
+        // so earlier offsets stay valid
+        const replacements = [...text.matchAll(TemplateMerger.PLACEHOLDER)]
+            .map(match => ({ match: match, value: this.getValue(scope, match[1], match[0]) }))
+            .reverse();
+        for (const { match, value } of replacements) {
+            if (value === null) continue;
+
+            const from = match.index;
+            const to = match.index + match[0].length;
+            const first = findRun(from);
+            const last = findRun(to - 1);
+            const firstRun = runs[first];
+            const lastRun = runs[last];
+            const tail = lastRun.text.slice(to - starts[last]);
+
+            for (let index = first + 1; index < last; index++) {
+                runs[index].text = '';
+            }
+            const head = firstRun.text.slice(0, from - starts[first]);
+            if (first === last) {
+                firstRun.text = head + value + tail;
+            } else {
+                firstRun.text = head + value;
+                lastRun.text = tail;
+            }
+        }
+    }
+
+    /**
+     * Get the text a placeholder is replaced with
+     * @param {Object} scope - Values by placeholder name
+     * @param {string} name - Placeholder name
+     * @param {string} placeholder - The placeholder as written
+     * @returns {string|null} Replacement, or null to leave the placeholder
+     */
+    getValue(scope, name, placeholder) {
+        const value = this.resolve(scope, name);
+        if (value === undefined || value === null) {
+            this.report.add('approximated', 'merge-missing', `No value for ${placeholder}` +
+                (this.options.missing === 'blank' ? ' (left empty)' : ' (kept as is)'));
+            return this.options.missing === 'blank' ? '' : null;
+        }
+        return this.formatValue(value);
+    }
+
+    /**
+     * Find a value by placeholder name: an exact key first (CSV headers such as "borclu.ad"),
+     * then a dotted path into nested objects; keys match regardless of case, and only a record's own
+     * keys count (not inherited ones such as "constructor" or "toString")
+     * @param {Object} scope - Values by placeholder name
+     * @param {string} name - Placeholder name
+     * @returns {*} Value, or undefined
+     */
+    resolve(scope, name) {
+        const lookup = (object, key) => {
+            if (!object || typeof object !== 'object') return undefined;
+            if (Object.hasOwn(object, key)) return object[key];
+
+            const lower = key.toLowerCase();
+            const match = Object.keys(object).find(candidate => candidate.toLowerCase() === lower);
+            return match === undefined ? undefined : object[match];
+        };
+
+        const exact = lookup(scope, name);
+        if (exact !== undefined) return exact;
+
+        return name.split('.').reduce((value, key) => lookup(value, key.trim()), scope);
+    }
+
+    /**
+     * Turn a data value into text
+     * @param {*} value - String, number, boolean or list
+     * @returns {string} Text
+     */
+    formatValue(value) {
+        if (Array.isArray(value)) return value.map(item => this.formatValue(item)).join(', ');
+        if (typeof value === 'object') return Object.values(value).map(item => this.formatValue(item)).join(' ');
+        return String(value);
+    }
+}
+
+TemplateMerger.DEFAULT_OPTIONS = {
+    missing: 'keep'
+};
+
+// {{name}}, {{ list.field }} or {{#}}
+TemplateMerger.PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
@@ -4,18 +4,43 @@
  */
 
 class UdfGenerator {
-    constructor() {
+    /**
+     * @param {Object} [options] - Output options
+     * @param {boolean} [options.linkUrls] - Write hyperlink targets after the link text as "text (url)"
+     *        (UDF has no hyperlink element)
+     * @param {string} [options.footnotes] - Where footnotes go (UDF has no page footnotes): 'document' (end of
+     *        the document), 'section' (end of each section), 'page-break' (before each explicit page break)
+     *        or 'inline' (bracketed "[1: …]" text at the reference)
+     * @param {string} [options.footnoteSeparator] - Line written above the footnotes ('' for none)
+     * @param {boolean} [options.footnoteRestart] - Restart footnote numbering in each section
+     * @param {string} [options.footnoteFormat] - Footnote number format (decimal, lowerRoman, upperRoman,
+     *        lowerLetter, upperLetter or chicago for *, †, ‡, §)
+     * @param {Object} [options.fontMap] - Font substitutions ({"Calibri": "Arial", ...}) applied on top of
+     *        UdfGenerator.FONT_SUBSTITUTIONS; a target of 'hvl-default' leaves the font to the UDF default style
+     * @param {string} [options.unknownFont] - Font used for fonts neither supported by UYAP nor mapped
+     *        ('hvl-default' for the default style, '' to keep them)
+     * @param {boolean} [options.normalizeFontSizes] - Round font sizes to those offered by the UYAP editor
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, UdfGenerator.DEFAULT_OPTIONS, options);
+        this.fontMap = this.buildFontMap(this.options.fontMap);
         this.content = '';
         this.elements = [];
         this.currentOffset = 0;
         this.collectedFootnotes = []; // Store footnotes to append at end
         this.footnoteCounter = 0; // Track display numbers for footnotes
+        this.collectedEndnotes = []; // Endnotes, listed after the text
+        this.endnoteCounter = 0;
+        this.collectedComments = []; // Exported comments, listed after the text
+        this.pageSetup = null;
+        this.report = new ConversionReport();
     }
 
     /**
      * Generate UDF file from parsed document
      * @param {Object} document - Parsed document from DocxParser
-     * @returns {Promise<Blob>} UDF file as Blob
+     * @returns {Promise<{blob: Blob, warnings: Array}>} UDF file as Blob, with the parser's and
+     *          generator's warnings about dropped or approximated content
      */
     async generate(document) {
         // Reset state
@@ -24,21 +49,34 @@ class UdfGenerator {
         this.currentOffset = 0;
         this.collectedFootnotes = [];
         this.footnoteCounter = 0;
+        this.collectedEndnotes = [];
+        this.endnoteCounter = 0;
+        this.collectedComments = [];
+        this.pageSetup = document.pageSetup || null;
+        this.report = new ConversionReport(document.warnings || []);
+
+        // Headers and footers come first so their text precedes the body in the content block
+        this.processHeadersFooters('header', document.headers || {});
+        this.processHeadersFooters('footer', document.footers || {});
 
         // Process all document elements
-        for (const element of document.elements) {
-            if (element.type === 'paragraph') {
-                this.processParagraph(element);
-            } else if (element.type === 'table') {
-                this.processTable(element);
-            }
-        }
+        this.processElements(document.elements);
 
         // Append footnotes section at the end if there are any
         if (this.collectedFootnotes.length > 0) {
             this.appendFootnotesSection();
         }
 
+        // Endnotes follow the text, as in Word
+        if (this.collectedEndnotes.length > 0) {
+            this.appendEndnotesSection();
+        }
+
+        // Append the comments section after everything else
+        if (this.collectedComments.length > 0) {
+            this.appendCommentsSection();
+        }
+
         // Ensure we have at least one paragraph
         if (this.content.length === 0) {
             this.content = '\u200B'; // Zero-width space
@@ -52,7 +90,45 @@ class UdfGenerator {
         const zip = new JSZip();
         zip.file('content.xml', xml);
 
-        return await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        return { blob: blob, warnings: this.report.warnings };
+    }
+
+    /**
+     * Process a list of block elements (paragraphs and tables)
+     * @param {Array} elements - Parsed elements
+     */
+    processElements(elements) {
+        for (const element of elements) {
+            if (element.type === 'paragraph') {
+                this.processParagraph(element);
+                if (element.sectionEnd) this.endSection();
+            } else if (element.type === 'table') {
+                this.processTable(element);
+            }
+        }
+    }
+
+    /**
+     * Process header or footer variants into UDF header/footer elements
+     * @param {string} tagName - 'header' or 'footer'
+     * @param {Object} variants - Parsed elements keyed by type (default, first, even)
+     */
+    processHeadersFooters(tagName, variants) {
+        for (const type of ['default', 'first', 'even']) {
+            const elements = variants[type];
+            if (!elements || elements.length === 0) continue;
+
+            // Collect the variant's paragraphs separately, then wrap them
+            const bodyElements = this.elements;
+            this.elements = [];
+            this.processElements(elements);
+            const children = this.elements;
+            this.elements = bodyElements;
+
+            const typeAttr = type === 'default' ? '' : ` type="${type}"`;
+            this.elements.push(`<${tagName}${typeAttr}>${children.join('')}</${tagName}>`);
+        }
     }
 
     /**
@@ -63,9 +139,16 @@ class UdfGenerator {
         const paraContent = [];
         const paraElements = [];
         let paraOffset = this.currentOffset;
+        let splitByPageBreak = false;
+        let block = paragraph;
+
+        // w:pageBreakBefore starts the paragraph on a new page
+        if (paragraph.pageBreakBefore && this.elements.length > 0) {
+            this.appendPageBreak();
+        }
 
         // Process runs
-        for (const run of paragraph.runs) {
+        for (const run of this.expandSmallCaps(this.expandLinks(this.expandInlineNotes(paragraph.runs)))) {
             if (run.type === 'text') {
                 const text = run.text;
                 const attrs = this.buildContentAttrs(run);
@@ -86,40 +169,36 @@ class UdfGenerator {
                 paraContent.push('\n');
                 this.currentOffset += 1;
             } else if (run.type === 'pageBreak') {
-                // Handle page break - first flush any pending footnotes
+                // A page break splits the paragraph; the text after it continues on the new page
                 this.content += paraContent.join('');
                 if (paraElements.length > 0) {
-                    this.elements.push(this.buildParagraphElement(paragraph, paraElements));
+                    this.elements.push(this.buildParagraphElement(block, paraElements));
                 }
+                paraContent.length = 0;
+                paraElements.length = 0;
+                splitByPageBreak = true;
 
-                // Insert footnotes for this page before the page break
-                if (this.collectedFootnotes.length > 0) {
-                    this.appendFootnotesSection();
-                    this.collectedFootnotes = []; // Clear for next page
-                }
+                // The continuation is not another list item and has no first-line or hanging indent
+                block = Object.assign({}, paragraph, { numbering: null, firstLineIndent: 0 });
 
-                this.elements.push('<page-break />');
-                return;
-            } else if (run.type === 'footnoteRef') {
-                // Handle footnote reference - insert superscript number only
-                // Use counter for display number (w:id can be non-contiguous)
-                this.footnoteCounter++;
-                const displayNum = String(this.footnoteCounter);
-                const footnoteText = run.content;
-
-                // Collect footnote for later
-                this.collectedFootnotes.push({
-                    number: displayNum,
-                    text: footnoteText
-                });
-
-                // Add the superscript footnote number in text
+                this.appendPageBreak();
+            } else if (run.type === 'footnoteRef' || run.type === 'endnoteRef' || run.type === 'noteMark') {
+                // Note reference or a note's own number: superscript number only
+                const displayNum = run.type === 'noteMark' ? run.text : this.collectNote(run);
                 paraElements.push(`<content startOffset="${this.currentOffset}" length="${displayNum.length}" family="Times New Roman" size="10" superscript="true" />`);
                 paraContent.push(displayNum);
                 this.currentOffset += displayNum.length;
+            } else if (run.type === 'commentRef') {
+                const marker = this.collectComment(run);
+                paraElements.push(`<content startOffset="${this.currentOffset}" length="${marker.length}" family="Times New Roman" size="10" superscript="true" />`);
+                paraContent.push(marker);
+                this.currentOffset += marker.length;
             }
         }
 
+        // Nothing follows a page break at the end of the paragraph
+        if (splitByPageBreak && paraContent.length === 0) return;
+
         // If paragraph is empty, add placeholder
         if (paraContent.length === 0) {
             paraContent.push('\u200B'); // Zero-width space
@@ -128,15 +207,121 @@ class UdfGenerator {
         }
 
         this.content += paraContent.join('');
-        this.elements.push(this.buildParagraphElement(paragraph, paraElements));
+        this.elements.push(this.buildParagraphElement(block, paraElements));
     }
 
     /**
-     * Append footnotes section at the end of the document
+     * Collect a footnote or endnote for its notes section
+     * @param {Object} run - Parsed footnoteRef or endnoteRef
+     * @returns {string} Number placed in the text
+     */
+    collectNote(run) {
+        // Use counters for display numbers (w:id can be non-contiguous)
+        if (run.type === 'endnoteRef') {
+            this.endnoteCounter++;
+            const number = formatListNumber(this.endnoteCounter, 'lowerRoman');
+            this.collectedEndnotes.push({ number: number, note: run.note });
+            return number;
+        }
+
+        this.footnoteCounter++;
+        const number = formatListNumber(this.footnoteCounter, this.options.footnoteFormat);
+        this.collectedFootnotes.push({ number: number, note: run.note });
+        return number;
+    }
+
+    /**
+     * Write footnotes as bracketed text at their reference when footnotes are placed inline
+     * @param {Array} runs - Parsed runs of a paragraph
+     * @returns {Array} Runs with each footnote reference replaced by "[1: note text]"
+     */
+    expandInlineNotes(runs) {
+        if (this.options.footnotes !== 'inline') return runs;
+
+        const expanded = [];
+        let font = { fontFamily: 'Times New Roman', fontSize: 12 };
+
+        for (const run of runs) {
+            if (run.type === 'text') font = { fontFamily: run.fontFamily, fontSize: run.fontSize };
+            if (run.type !== 'footnoteRef') {
+                expanded.push(run);
+                continue;
+            }
+
+            this.report.add('approximated', 'footnotes-inline', 'Footnotes written inline as bracketed text');
+            this.footnoteCounter++;
+            const number = formatListNumber(this.footnoteCounter, this.options.footnoteFormat);
+
+            // The note's paragraphs are joined with spaces; tables and images in notes are left out
+            const noteRuns = [];
+            for (const element of run.note.elements.filter(element => element.type === 'paragraph')) {
+                const texts = element.runs.filter(noteRun => noteRun.type === 'text');
+                if (texts.length === 0) continue;
+                if (noteRuns.length > 0) noteRuns.push(Object.assign({}, font, { type: 'text', text: ' ' }));
+                noteRuns.push(...texts);
+            }
+            if (noteRuns.length > 0) {
+                noteRuns[0] = Object.assign({}, noteRuns[0], { text: noteRuns[0].text.replace(/^\s+/, '') });
+            }
+
+            expanded.push(Object.assign({}, font, { type: 'text', text: `[${number}: ` }));
+            expanded.push(...noteRuns);
+            expanded.push(Object.assign({}, font, { type: 'text', text: ']' }));
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Close a section: flush its footnotes and restart their numbering, depending on the options
+     */
+    endSection() {
+        if (this.options.footnotes === 'section' && this.collectedFootnotes.length > 0) {
+            this.appendFootnotesSection();
+        }
+        if (this.options.footnoteRestart) {
+            this.footnoteCounter = 0;
+        }
+    }
+
+    /**
+     * Append a page break, preceded by the page's footnotes when they are placed before page breaks
+     */
+    appendPageBreak() {
+        // Insert footnotes for this page before the page break
+        if (this.options.footnotes === 'page-break' && this.collectedFootnotes.length > 0) {
+            this.appendFootnotesSection();
+        }
+
+        this.elements.push('<page-break />');
+    }
+
+    /**
+     * Append the collected footnotes and clear them for the next page or section
      */
     appendFootnotesSection() {
-        // Add a separator line
-        const separator = '────────────────────';
+        // Cleared first, so a page break or section end inside a note does not flush them again
+        const footnotes = this.collectedFootnotes;
+        this.collectedFootnotes = [];
+
+        this.report.add('approximated', 'footnotes', 'Footnotes placed below the text (UDF has no page footnotes)');
+        this.appendNoteSeparator();
+        this.appendNotes(footnotes);
+    }
+
+    /**
+     * Append the endnotes after the text of the document
+     */
+    appendEndnotesSection() {
+        this.appendNoteSeparator();
+        this.appendNotes(this.collectedEndnotes);
+    }
+
+    /**
+     * Append an empty line and the separator line that precede a notes section
+     */
+    appendNoteSeparator() {
+        const separator = this.options.footnoteSeparator;
 
         // Empty line before separator (element references this newline)
         this.elements.push(`<paragraph Alignment="0" LeftIndent="0.0" RightIndent="0.0"><content startOffset="${this.currentOffset}" length="1" family="Times New Roman" size="12" /></paragraph>`);
@@ -144,32 +329,178 @@ class UdfGenerator {
         this.currentOffset += 1;
 
         // Separator line
+        if (!separator) return;
         this.elements.push(`<paragraph Alignment="0" LeftIndent="0.0" RightIndent="0.0"><content startOffset="${this.currentOffset}" length="${separator.length}" family="Times New Roman" size="10" /></paragraph>`);
         this.content += separator;
         this.currentOffset += separator.length;
+    }
+
+    /**
+     * Append collected notes with their own paragraphs, formatting and tables
+     * @param {Array<{number: string, note: Object}>} entries - Collected notes
+     */
+    appendNotes(entries) {
+        for (const { number, note } of entries) {
+            const elements = note.elements.length > 0 ? note.elements : [{
+                type: 'paragraph',
+                alignment: 'left',
+                runs: [{ type: 'text', text: `[Empty ${note.kind}]`, fontFamily: 'Times New Roman', fontSize: 10 }],
+                numbering: null
+            }];
 
-        // Add each footnote
-        for (const footnote of this.collectedFootnotes) {
-            // Create paragraph with superscript number and regular text
-            const numPart = footnote.number + '. ';
-            const textPart = footnote.text;
+            // The note's number mark shows the display number; page breaks would flush the notes again
+            // and are dropped, whether they are runs or set on the paragraph
+            let marked = false;
+            const numbered = elements.map(element => {
+                if (element.type !== 'paragraph') return element;
+                const runs = element.runs
+                    .filter(run => run.type !== 'pageBreak')
+                    .map(run => {
+                        if (run.type !== 'noteMark') return run;
+                        marked = true;
+                        return { type: 'noteMark', text: `${number}.` };
+                    });
+                return Object.assign({}, element, { runs: runs, pageBreakBefore: false });
+            });
 
-            const paraElements = [];
+            const first = numbered.find(element => element.type === 'paragraph');
+            if (!marked && first) {
+                first.runs.unshift({ type: 'noteMark', text: `${number}. ` });
+            }
+
+            this.processElements(numbered);
+        }
+    }
+
+    /**
+     * Add the target after each hyperlink's text, in the font of the link's last run
+     * @param {Array} runs - Parsed runs of a paragraph
+     * @returns {Array} Runs with the "(url)" fallback text inserted
+     */
+    expandLinks(runs) {
+        const expanded = [];
+        let linkText = '';
+
+        runs.forEach((run, index) => {
+            expanded.push(run);
+            if (!run.link) return;
+
+            linkText += run.text;
+            const next = runs[index + 1];
+            if (next && next.link === run.link) return;
+
+            const shownText = linkText.trim();
+            linkText = '';
+
+            // Links whose text already is the address need no fallback
+            if (shownText === run.link || shownText === run.link.replace(/^mailto:/, '')) return;
+
+            if (this.options.linkUrls) {
+                expanded.push(Object.assign({}, run, {
+                    text: ` (${run.link})`,
+                    link: null,
+                    underline: false,
+                    color: null
+                }));
+            } else {
+                this.report.add('dropped', 'hyperlink', 'Hyperlink target dropped (link text kept)');
+            }
+        });
+
+        return expanded;
+    }
+
+    /**
+     * Approximate small capitals, which UDF cannot express: lowercase letters become smaller capitals
+     * @param {Array} runs - Paragraph runs
+     * @returns {Array} Runs with each small caps run split into capital and lowered segments
+     */
+    expandSmallCaps(runs) {
+        const expanded = [];
+
+        for (const run of runs) {
+            if (run.type !== 'text' || !run.smallCaps) {
+                expanded.push(run);
+                continue;
+            }
+
+            const smallSize = Math.round((run.fontSize || 12) * UdfGenerator.SMALL_CAPS_SCALE * 2) / 2;
+            for (const segment of run.text.split(/(\p{Ll}+)/u)) {
+                if (!segment) continue;
+                const lower = /^\p{Ll}/u.test(segment);
+                expanded.push(Object.assign({}, run, {
+                    text: lower ? segment.toLocaleUpperCase('tr-TR') : segment,
+                    fontSize: lower ? smallSize : run.fontSize,
+                    smallCaps: false
+                }));
+            }
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Collect an exported comment for the comments section
+     * @param {Object} run - Parsed comment reference
+     * @returns {string} Marker placed in the text (e.g. "[1]")
+     */
+    collectComment(run) {
+        const number = this.collectedComments.length + 1;
+        this.collectedComments.push({ number: number, comment: run.comment });
+        return `[${number}]`;
+    }
+
+    /**
+     * Append the "Açıklamalar" section listing the exported comments
+     * (number, author, date, the commented text and the comment itself)
+     */
+    appendCommentsSection() {
+        this.report.add('approximated', 'comments',
+            'Comments listed in the "Açıklamalar" section at the end (UDF has no comments)');
 
-            // Superscript number
-            paraElements.push(`<content startOffset="${this.currentOffset}" length="${numPart.length}" family="Times New Roman" size="10" superscript="true" />`);
-            this.content += numPart;
-            this.currentOffset += numPart.length;
+        // Empty line before the heading
+        this.elements.push(`<paragraph Alignment="0" LeftIndent="0.0" RightIndent="0.0"><content startOffset="${this.currentOffset}" length="1" family="Times New Roman" size="12" /></paragraph>`);
+        this.content += '\n';
+        this.currentOffset += 1;
 
-            // Footnote text
-            paraElements.push(`<content startOffset="${this.currentOffset}" length="${textPart.length}" family="Times New Roman" size="10" />`);
-            this.content += textPart;
-            this.currentOffset += textPart.length;
+        // Heading
+        const heading = 'Açıklamalar';
+        this.elements.push(`<paragraph Alignment="0" LeftIndent="0.0" RightIndent="0.0"><content startOffset="${this.currentOffset}" length="${heading.length}" family="Times New Roman" size="12" bold="true" /></paragraph>`);
+        this.content += heading;
+        this.currentOffset += heading.length;
+
+        for (const { number, comment } of this.collectedComments) {
+            const date = this.formatCommentDate(comment.date);
+            const parts = [
+                { text: `[${number}] `, attrs: 'size="10"' },
+                { text: comment.author + (date ? ` (${date})` : '') + ': ', attrs: 'size="10" bold="true"' }
+            ];
+            if (comment.anchorText.trim()) {
+                parts.push({ text: `“${comment.anchorText.trim()}” `, attrs: 'size="10" italic="true"' });
+            }
+            parts.push({ text: comment.text || ' ', attrs: 'size="10"' });
+
+            const paraElements = [];
+            for (const part of parts) {
+                paraElements.push(`<content startOffset="${this.currentOffset}" length="${part.text.length}" family="Times New Roman" ${part.attrs} />`);
+                this.content += part.text;
+                this.currentOffset += part.text.length;
+            }
 
             this.elements.push(`<paragraph Alignment="0" LeftIndent="0.0" RightIndent="0.0">${paraElements.join('')}</paragraph>`);
         }
     }
 
+    /**
+     * Format a comment's w:date as a Turkish date
+     * @param {string|null} date - ISO 8601 date (e.g. 2024-03-01T10:15:00Z)
+     * @returns {string} Date as DD.MM.YYYY, or an empty string when missing
+     */
+    formatCommentDate(date) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(date || '');
+        return match ? `${match[3]}.${match[2]}.${match[1]}` : '';
+    }
+
     /**
      * Build paragraph element XML
      * @param {Object} paragraph - Paragraph data
@@ -204,25 +535,108 @@ class UdfGenerator {
             attrs += ` FirstLineIndent="${paragraph.firstLineIndent}.0"`;
         }
 
+        // UDF line spacing is the space added below each line, as a fraction of its height (1.5 lines = 0.5)
+        const extraLineSpacing = Math.round(((paragraph.lineSpacing || 1) - 1) * 100) / 100;
+        if (extraLineSpacing > 0) {
+            attrs += ` LineSpacing="${extraLineSpacing}"`;
+        }
+        if (paragraph.spaceBefore) {
+            attrs += ` SpaceAbove="${paragraph.spaceBefore}.0"`;
+        }
+        if (paragraph.spaceAfter) {
+            attrs += ` SpaceBelow="${paragraph.spaceAfter}.0"`;
+        }
+
+        if (paragraph.tabStops && paragraph.tabStops.length > 0) {
+            const tabSet = this.buildTabSet(paragraph);
+            if (tabSet) attrs += ` TabSet="${tabSet}"`;
+        }
+
+        if (paragraph.keepNext || paragraph.keepLines) {
+            this.report.add('approximated', 'keep-together',
+                'Keep with next / keep lines together not kept (UDF has no pagination control)');
+        }
+
         // Handle numbering/bullets
         if (paragraph.numbering) {
             const level = paragraph.numbering.level;
-            const numId = paragraph.numbering.numId;
+            const listId = paragraph.numbering.listId || paragraph.numbering.numId;
 
-            // Determine if it's numbered or bulleted based on numId
-            // (simplified - in real implementation, would check numbering definitions)
-            const isBulleted = parseInt(numId) % 2 === 0;
-
-            if (isBulleted) {
-                attrs += ` Bulleted="true" BulletType="BULLET_TYPE_ELLIPSE" ListLevel="${level}" ListId="${numId}"`;
-            } else {
-                attrs += ` Numbered="true" NumberType="NUMBER_TYPE_NUMBER_TRE" ListLevel="${level}" ListId="${numId}"`;
+            if (paragraph.numbering.format === 'bullet') {
+                const bulletType = this.mapBulletType(paragraph.numbering.levelText);
+                attrs += ` Bulleted="true" BulletType="${bulletType}" ListLevel="${level}" ListId="${listId}"`;
+            } else if (paragraph.numbering.format !== 'none') {
+                const numberType = this.mapNumberType(paragraph.numbering.format, paragraph.numbering.levelText);
+                attrs += ` Numbered="true" NumberType="${numberType}" ListLevel="${level}" ListId="${listId}"`;
+                if (paragraph.numbering.start && paragraph.numbering.start !== 1) {
+                    attrs += ` StartNumber="${paragraph.numbering.start}"`;
+                }
             }
         }
 
         return `<paragraph ${attrs}>${childElements.join('')}</paragraph>`;
     }
 
+    /**
+     * Map a Word bullet glyph to a UDF bullet type
+     * @param {string} glyph - The w:lvlText of a bullet level
+     * @returns {string} UDF BulletType value
+     */
+    mapBulletType(glyph) {
+        const bulletTypes = {
+            '\u2022': 'BULLET_TYPE_ELLIPSE',   // •
+            '\uF0B7': 'BULLET_TYPE_ELLIPSE',   // Symbol font bullet
+            '\u25CF': 'BULLET_TYPE_ELLIPSE',   // ●
+            'o': 'BULLET_TYPE_ELLIPSE',        // Courier New hollow circle
+            '\u25CB': 'BULLET_TYPE_ELLIPSE',   // ○
+            '\u25E6': 'BULLET_TYPE_ELLIPSE',   // ◦
+            '\uF0A7': 'BULLET_TYPE_RECTANGLE', // Wingdings square
+            '\uF06E': 'BULLET_TYPE_RECTANGLE', // Wingdings filled square
+            '\u25A0': 'BULLET_TYPE_RECTANGLE', // ■
+            '\u25AA': 'BULLET_TYPE_RECTANGLE', // ▪
+            '\uF076': 'BULLET_TYPE_DIAMOND',   // Wingdings diamond
+            '\u2666': 'BULLET_TYPE_DIAMOND',   // ♦
+            '\u25C6': 'BULLET_TYPE_DIAMOND',   // ◆
+            '\uF0D8': 'BULLET_TYPE_TRIANGLE',  // Wingdings arrowhead
+            '\u27A2': 'BULLET_TYPE_TRIANGLE',  // ➢
+            '\u25BA': 'BULLET_TYPE_TRIANGLE',  // ►
+            '-': 'BULLET_TYPE_DASH',
+            '\u2013': 'BULLET_TYPE_DASH',      // –
+            '\u2014': 'BULLET_TYPE_DASH'       // —
+        };
+        return bulletTypes[(glyph || '').trim()] || 'BULLET_TYPE_ELLIPSE';
+    }
+
+    /**
+     * Map a Word number format and level text to a UDF number type
+     * @param {string} format - Word w:numFmt value
+     * @param {string} levelText - Word w:lvlText value (e.g. "%1.", "%1)", "%1-")
+     * @returns {string} UDF NumberType value
+     */
+    mapNumberType(format, levelText) {
+        const formatNames = {
+            'decimal': 'NUMBER',
+            'decimalZero': 'NUMBER',
+            'lowerLetter': 'LETTER_SMALL',
+            'upperLetter': 'LETTER_CAPITAL',
+            'lowerRoman': 'ROMAN_SMALL',
+            'upperRoman': 'ROMAN_CAPITAL'
+        };
+        const suffixNames = {
+            '.': 'DOT',
+            ')': 'PARANTHESIS',
+            '-': 'TRE'
+        };
+
+        // The character following the last placeholder decides the suffix style
+        const suffixMatch = (levelText || '').match(/%\d([^%]*)$/);
+        const suffix = suffixMatch ? suffixMatch[1].trim().charAt(0) : '.';
+
+        const formatName = formatNames[format] || 'NUMBER';
+        const suffixName = suffixNames[suffix] || 'DOT';
+        return `NUMBER_TYPE_${formatName}_${suffixName}`;
+    }
+
     /**
      * Build content element attributes
      * @param {Object} run - Run data
@@ -231,13 +645,17 @@ class UdfGenerator {
     buildContentAttrs(run) {
         const attrs = [];
 
-        attrs.push(`family="${escapeXml(run.fontFamily || 'Times New Roman')}"`);
-        attrs.push(`size="${run.fontSize || 12}"`);
+        // Without a family the text takes the font of the default style
+        const family = this.resolveFont(run.fontFamily || 'Times New Roman');
+        if (family) attrs.push(`family="${escapeXml(family)}"`);
+        attrs.push(`size="${this.resolveFontSize(run.fontSize || 12)}"`);
 
         if (run.bold) attrs.push('bold="true"');
         if (run.italic) attrs.push('italic="true"');
         if (run.underline) attrs.push('underline="true"');
         if (run.strike) attrs.push('strikethrough="true"');
+        if (run.superscript) attrs.push('superscript="true"');
+        if (run.subscript) attrs.push('subscript="true"');
 
         if (run.color) {
             // Convert hex color to RGB integer
@@ -245,6 +663,9 @@ class UdfGenerator {
             attrs.push(`foreground="${rgb}"`);
         }
 
+        // Highlighting and shading
+        if (run.background) attrs.push(`background="${this.hexToRgbInt(run.background)}"`);
+
         return attrs.join(' ');
     }
 
@@ -253,6 +674,15 @@ class UdfGenerator {
      * @param {Object} table - Parsed table
      */
     processTable(table) {
+        this.elements.push(this.buildTableElement(table));
+    }
+
+    /**
+     * Build the XML of a table; nested tables are built inside their cell
+     * @param {Object} table - Parsed table
+     * @returns {string} Table XML
+     */
+    buildTableElement(table) {
         const columnCount = table.columnWidths.length ||
             (table.rows[0] ? table.rows[0].cells.length : 1);
 
@@ -267,14 +697,22 @@ class UdfGenerator {
             columnSpans = Array(columnCount).fill(equalWidth).join(',');
         }
 
+        this.reportTableFormatting(table);
+
         const rowElements = [];
 
         for (let i = 0; i < table.rows.length; i++) {
             const row = table.rows[i];
             const cellElements = [];
 
+            // Skipped grid columns are filled with empty cells to keep the columns aligned
+            if (row.gridBefore > 0) {
+                cellElements.push(this.buildGridFillerCell(row.gridBefore));
+            }
+
             for (const cell of row.cells) {
-                if (cell.vMergeContinue) continue; // Skip merged cells
+                // Covered by the rowspan of the cell above
+                if (cell.vMergeContinue) continue;
 
                 const cellContent = this.processTableCell(cell);
 
@@ -282,6 +720,9 @@ class UdfGenerator {
                 if (cell.colspan > 1) {
                     cellAttrs += ` colspan="${cell.colspan}"`;
                 }
+                if (cell.rowspan > 1) {
+                    cellAttrs += ` rowspan="${cell.rowspan}"`;
+                }
                 if (cell.bgColor) {
                     const rgb = this.hexToRgbInt(cell.bgColor);
                     cellAttrs += ` bgColor="${rgb}"`;
@@ -293,71 +734,73 @@ class UdfGenerator {
                 cellElements.push(`<cell${cellAttrs}>${cellContent}</cell>`);
             }
 
+            if (row.gridAfter > 0) {
+                cellElements.push(this.buildGridFillerCell(row.gridAfter));
+            }
+
             rowElements.push(`<row rowName="row${i + 1}" rowType="dataRow">${cellElements.join('')}</row>`);
         }
 
-        const tableElement = `<table tableName="Table" columnCount="${columnCount}" columnSpans="${columnSpans}" border="${table.border}">${rowElements.join('')}</table>`;
-        this.elements.push(tableElement);
+        return `<table tableName="Table" columnCount="${columnCount}" columnSpans="${columnSpans}" border="${table.border}">${rowElements.join('')}</table>`;
+    }
+
+    /**
+     * Report table formatting that UDF tables cannot express
+     * @param {Object} table - Parsed table
+     */
+    reportTableFormatting(table) {
+        const cells = table.rows.flatMap(row => row.cells);
+        const edges = cells.flatMap(cell => Object.values(cell.borders || {}));
+        const visibleEdges = edges.filter(border => border && border.style !== 'none' && border.width > 0);
+
+        // UDF has one border setting for the whole table
+        if (visibleEdges.length > 0 && visibleEdges.length < edges.length) {
+            this.report.add('approximated', 'cell-borders', 'Cell borders drawn on all cells (UDF tables have one border setting)');
+        }
+        if (visibleEdges.some(border => border.style !== 'single' || (border.color && border.color !== '#000000'))) {
+            this.report.add('approximated', 'border-style', 'Border styles and colors drawn as plain black lines');
+        }
+
+        for (const row of table.rows) {
+            if (row.height && row.height.rule !== 'auto' && row.height.value > 0) {
+                this.report.add('approximated', 'row-height', 'Row height not kept (UDF rows size to their content)');
+            }
+            if (row.header) {
+                this.report.add('approximated', 'header-row', 'Repeating header row written as an ordinary row');
+            }
+        }
+    }
+
+    /**
+     * Build an empty cell covering grid columns a row skips (w:gridBefore / w:gridAfter)
+     * @param {number} columns - Number of grid columns
+     * @returns {string} Cell XML
+     */
+    buildGridFillerCell(columns) {
+        this.report.add('approximated', 'grid-filler', 'Row indented with w:gridBefore/w:gridAfter filled with empty cells');
+        const colspan = columns > 1 ? ` colspan="${columns}"` : '';
+        return `<cell${colspan}>${this.processTableCell({ elements: [] })}</cell>`;
     }
 
     /**
      * Process a table cell
      * @param {Object} cell - Parsed cell
-     * @returns {string} Cell content elements
+     * @returns {string} Cell content elements (paragraphs and nested tables)
      */
     processTableCell(cell) {
         const cellElements = [];
 
-        for (let i = 0; i < cell.paragraphs.length; i++) {
-            const paragraph = cell.paragraphs[i];
-            const paraElements = [];
-
-            for (const run of paragraph.runs) {
-                if (run.type === 'text') {
-                    const text = run.text;
-                    const attrs = this.buildContentAttrs(run);
-                    paraElements.push(`<content startOffset="${this.currentOffset}" length="${text.length}" ${attrs} />`);
-                    this.content += text;
-                    this.currentOffset += text.length;
-                } else if (run.type === 'tab') {
-                    paraElements.push(`<tab startOffset="${this.currentOffset}" length="1" />`);
-                    this.content += '\t';
-                    this.currentOffset += 1;
-                } else if (run.type === 'image' && run.data) {
-                    paraElements.push(`<image startOffset="${this.currentOffset}" length="1" imageData="${run.data}" width="${run.width}" height="${run.height}" />`);
-                    this.content += '\uFFFC';
-                    this.currentOffset += 1;
-                } else if (run.type === 'footnoteRef') {
-                    // Handle footnote reference in table cells
-                    // Use counter for display number (w:id can be non-contiguous)
-                    this.footnoteCounter++;
-                    const displayNum = String(this.footnoteCounter);
-                    const footnoteText = run.content;
-
-                    // Collect footnote for later
-                    this.collectedFootnotes.push({
-                        number: displayNum,
-                        text: footnoteText
-                    });
-
-                    // Add the superscript footnote number
-                    paraElements.push(`<content startOffset="${this.currentOffset}" length="${displayNum.length}" family="Times New Roman" size="10" superscript="true" />`);
-                    this.content += displayNum;
-                    this.currentOffset += displayNum.length;
-                }
-            }
+        for (let i = 0; i < cell.elements.length; i++) {
+            const element = cell.elements[i];
 
-            // Empty paragraph
-            if (paraElements.length === 0) {
-                this.content += ' ';
-                paraElements.push(`<content startOffset="${this.currentOffset}" length="1" family="Times New Roman" size="12" />`);
-                this.currentOffset += 1;
+            if (element.type === 'table') {
+                cellElements.push(this.buildTableElement(element));
+            } else {
+                cellElements.push(this.buildCellParagraph(element, cell));
             }
 
-            cellElements.push(this.buildParagraphElement(paragraph, paraElements));
-
-            // Add newline between paragraphs (except last)
-            if (i < cell.paragraphs.length - 1) {
+            // Add newline between cell elements (except last)
+            if (i < cell.elements.length - 1) {
                 this.content += '\n';
                 this.currentOffset += 1;
             }
@@ -373,6 +816,67 @@ class UdfGenerator {
         return cellElements.join('');
     }
 
+    /**
+     * Build a paragraph inside a table cell (cell paragraphs cannot hold page breaks)
+     * @param {Object} paragraph - Parsed paragraph
+     * @param {Object} cell - Parsed cell containing the paragraph
+     * @returns {string} Paragraph XML
+     */
+    buildCellParagraph(paragraph, cell) {
+        const paraElements = [];
+
+        // UDF cells have a fixed padding: wider cell margins become paragraph indents
+        const margins = cell.margins || {};
+        const extraLeft = Math.round((margins.left || 0) - UdfGenerator.DEFAULT_CELL_MARGIN);
+        const extraRight = Math.round((margins.right || 0) - UdfGenerator.DEFAULT_CELL_MARGIN);
+        if (extraLeft > 0 || extraRight > 0) {
+            paragraph = Object.assign({}, paragraph, {
+                leftIndent: (paragraph.leftIndent || 0) + Math.max(extraLeft, 0),
+                rightIndent: (paragraph.rightIndent || 0) + Math.max(extraRight, 0)
+            });
+        }
+
+        for (const run of this.expandSmallCaps(this.expandLinks(this.expandInlineNotes(paragraph.runs)))) {
+            if (run.type === 'text') {
+                const text = run.text;
+                const attrs = this.buildContentAttrs(run);
+                paraElements.push(`<content startOffset="${this.currentOffset}" length="${text.length}" ${attrs} />`);
+                this.content += text;
+                this.currentOffset += text.length;
+            } else if (run.type === 'tab') {
+                paraElements.push(`<tab startOffset="${this.currentOffset}" length="1" />`);
+                this.content += '\t';
+                this.currentOffset += 1;
+            } else if (run.type === 'image' && run.data) {
+                paraElements.push(`<image startOffset="${this.currentOffset}" length="1" imageData="${run.data}" width="${run.width}" height="${run.height}" />`);
+                this.content += '\uFFFC';
+                this.currentOffset += 1;
+            } else if (run.type === 'footnoteRef' || run.type === 'endnoteRef') {
+                // Handle note references in table cells
+                const displayNum = this.collectNote(run);
+                paraElements.push(`<content startOffset="${this.currentOffset}" length="${displayNum.length}" family="Times New Roman" size="10" superscript="true" />`);
+                this.content += displayNum;
+                this.currentOffset += displayNum.length;
+            } else if (run.type === 'commentRef') {
+                const marker = this.collectComment(run);
+                paraElements.push(`<content startOffset="${this.currentOffset}" length="${marker.length}" family="Times New Roman" size="10" superscript="true" />`);
+                this.content += marker;
+                this.currentOffset += marker.length;
+            } else if (run.type === 'break' || run.type === 'pageBreak') {
+                this.report.add('dropped', 'cell-break', 'Line or page break inside a table cell dropped');
+            }
+        }
+
+        // Empty paragraph
+        if (paraElements.length === 0) {
+            this.content += ' ';
+            paraElements.push(`<content startOffset="${this.currentOffset}" length="1" family="Times New Roman" size="12" />`);
+            this.currentOffset += 1;
+        }
+
+        return this.buildParagraphElement(paragraph, paraElements);
+    }
+
     /**
      * Generate final UDF XML
      * @returns {string} Complete XML content
@@ -381,7 +885,7 @@ class UdfGenerator {
         const template = `<?xml version="1.0" encoding="UTF-8" ?>
 <template format_id="1.8">
 <content><![CDATA[${this.content}]]></content>
-<properties><pageFormat mediaSizeName="1" leftMargin="42.51968479156494" rightMargin="28.34645652770996" topMargin="14.17322826385498" bottomMargin="14.17322826385498" paperOrientation="1" headerFOffset="20.0" footerFOffset="20.0" /></properties>
+<properties>${this.buildPageFormat()}</properties>
 <elements resolver="hvl-default">
 ${this.elements.join('\n')}
 </elements>
@@ -391,6 +895,155 @@ ${this.elements.join('\n')}
         return template;
     }
 
+    /**
+     * Build the pageFormat element from the document's page setup
+     * @returns {string} pageFormat XML
+     */
+    buildPageFormat() {
+        // Used for anything the DOCX does not specify
+        const defaults = {
+            leftMargin: 42.51968479156494,
+            rightMargin: 28.34645652770996,
+            topMargin: 14.17322826385498,
+            bottomMargin: 14.17322826385498,
+            headerDistance: 20,
+            footerDistance: 20
+        };
+        const setup = Object.assign({}, defaults, this.pageSetup || {});
+
+        // Java PageFormat orientation constants: 0 = landscape, 1 = portrait
+        const orientation = setup.orientation === 'landscape' ? '0' : '1';
+
+        // UYAP only documents A4 (mediaSizeName 1), so other paper sizes are written as A4
+        const paperSize = this.getPaperSizeName(setup);
+        if (paperSize !== 'A4') {
+            this.report.add('approximated', 'paper-size', `${paperSize} paper size written as A4 (UDF only supports A4)`);
+        }
+
+        const attrs = [
+            'mediaSizeName="1"',
+            `leftMargin="${this.formatFloat(setup.leftMargin)}"`,
+            `rightMargin="${this.formatFloat(setup.rightMargin)}"`,
+            `topMargin="${this.formatFloat(setup.topMargin)}"`,
+            `bottomMargin="${this.formatFloat(setup.bottomMargin)}"`,
+            `paperOrientation="${orientation}"`,
+            `headerFOffset="${this.formatFloat(setup.headerDistance)}"`,
+            `footerFOffset="${this.formatFloat(setup.footerDistance)}"`
+        ];
+
+        return `<pageFormat ${attrs.join(' ')} />`;
+    }
+
+    /**
+     * Name the paper size of a page setup, whatever its orientation
+     * @param {Object} setup - Page setup with width and height in points (A4 when missing)
+     * @returns {string} 'A4', another standard size ('Letter', 'A3', ...) or the size in millimetres
+     */
+    getPaperSizeName(setup) {
+        if (!setup.width || !setup.height) return 'A4';
+
+        const short = Math.min(setup.width, setup.height);
+        const long = Math.max(setup.width, setup.height);
+        for (const [name, [width, height]] of Object.entries(UdfGenerator.PAPER_SIZES)) {
+            // Word rounds page sizes to whole twips
+            if (Math.abs(short - width) < 2 && Math.abs(long - height) < 2) return name;
+        }
+
+        const toMillimetres = (points) => Math.round(points / 72 * 25.4);
+        return `${toMillimetres(short)} × ${toMillimetres(long)} mm`;
+    }
+
+    /**
+     * Format a number the way UDF writes floats (always with a decimal part)
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    formatFloat(value) {
+        return Number.isInteger(value) ? `${value}.0` : String(value);
+    }
+
+    /**
+     * Build the TabSet attribute of a paragraph: "position:alignment:leader" per stop, comma-separated,
+     * with the alignment and leader codes of javax.swing.text.TabStop
+     * @param {Object} paragraph - Parsed paragraph with tabStops
+     * @returns {string} Tab set, or '' when no stop lies right of the left indent
+     */
+    buildTabSet(paragraph) {
+        // Word measures tab stops from the page margin, UDF from the paragraph's left indent
+        const indent = paragraph.leftIndent || 0;
+        const stops = [];
+
+        for (const stop of paragraph.tabStops) {
+            const position = stop.position - indent;
+            if (position <= 0) continue;
+
+            const alignment = UdfGenerator.TAB_ALIGNMENTS[stop.alignment] || 0;
+            let leader = UdfGenerator.TAB_LEADERS[stop.leader];
+            if (leader === undefined) {
+                leader = UdfGenerator.TAB_LEADERS.dot;
+                this.report.add('approximated', 'tab-leader', `"${stop.leader}" tab leader written as dots`);
+            }
+            stops.push(`${position}.0:${alignment}:${leader}`);
+        }
+
+        return stops.join(',');
+    }
+
+    /**
+     * Build the font substitution table, keyed by lowercase font name
+     * @param {Object} [fontMap] - User substitutions, taking precedence over the built-in ones
+     * @returns {Object} Target font per source font
+     */
+    buildFontMap(fontMap = {}) {
+        const map = {};
+        for (const [source, target] of Object.entries(Object.assign({}, UdfGenerator.FONT_SUBSTITUTIONS, fontMap))) {
+            map[source.trim().toLowerCase()] = target.trim();
+        }
+        return map;
+    }
+
+    /**
+     * Map a document font to one the UYAP editor can display
+     * @param {string} family - Font family of a run
+     * @returns {string|null} Font family to write, or null for the default style's font
+     */
+    resolveFont(family) {
+        const key = family.toLowerCase();
+        const supported = UdfGenerator.SUPPORTED_FONTS.find(font => font.toLowerCase() === key);
+
+        let target;
+        if (this.fontMap[key] !== undefined) {
+            target = this.fontMap[key];
+        } else if (supported) {
+            return supported;
+        } else {
+            target = this.options.unknownFont || family;
+        }
+
+        if (target === family) return family;
+
+        const isDefault = !target || target === 'hvl-default';
+        this.report.add('approximated', 'font-substitution',
+            `Font "${family}" replaced by ${isDefault ? 'the default font' : `"${target}"`}`);
+        return isDefault ? null : target;
+    }
+
+    /**
+     * Round a font size to the nearest size offered by the UYAP editor, when enabled
+     * @param {number} size - Font size in points
+     * @returns {number} Font size to write
+     */
+    resolveFontSize(size) {
+        if (!this.options.normalizeFontSizes) return size;
+
+        const nearest = UdfGenerator.FONT_SIZES.reduce((best, candidate) =>
+            Math.abs(candidate - size) < Math.abs(best - size) ? candidate : best);
+        if (nearest !== size) {
+            this.report.add('approximated', 'font-size', `Font size ${size}pt changed to ${nearest}pt`);
+        }
+        return nearest;
+    }
+
     /**
      * Convert hex color to RGB integer (Java-style signed int)
      * @param {string} hex - Hex color (e.g., "#FF0000")
@@ -409,3 +1062,78 @@ ${this.elements.join('\n')}
         return rgb | 0; // Convert to signed 32-bit
     }
 }
+
+UdfGenerator.DEFAULT_OPTIONS = {
+    linkUrls: true,
+    footnotes: 'page-break',
+    footnoteSeparator: '────────────────────',
+    footnoteRestart: false,
+    footnoteFormat: 'decimal',
+    fontMap: {},
+    unknownFont: 'hvl-default',
+    normalizeFontSizes: false
+};
+
+// Fonts the UYAP editor displays as they are
+UdfGenerator.SUPPORTED_FONTS = ['Times New Roman', 'Arial', 'Courier New', 'Tahoma', 'Verdana'];
+
+// Built-in substitutions for common Office and system fonts, by metric or style similarity
+UdfGenerator.FONT_SUBSTITUTIONS = {
+    'Calibri': 'Arial',
+    'Calibri Light': 'Arial',
+    'Aptos': 'Arial',
+    'Aptos Display': 'Arial',
+    'Aptos Narrow': 'Arial',
+    'Carlito': 'Arial',
+    'Helvetica': 'Arial',
+    'Liberation Sans': 'Arial',
+    'Segoe UI': 'Tahoma',
+    'Trebuchet MS': 'Verdana',
+    'Cambria': 'Times New Roman',
+    'Georgia': 'Times New Roman',
+    'Garamond': 'Times New Roman',
+    'Book Antiqua': 'Times New Roman',
+    'Palatino Linotype': 'Times New Roman',
+    'Liberation Serif': 'Times New Roman',
+    'Times': 'Times New Roman',
+    'Consolas': 'Courier New',
+    'Courier': 'Courier New',
+    'Lucida Console': 'Courier New',
+    'Liberation Mono': 'Courier New'
+};
+
+// javax.swing.text.TabStop alignment codes
+UdfGenerator.TAB_ALIGNMENTS = {
+    left: 0,
+    right: 1,
+    center: 2,
+    decimal: 4,
+    bar: 5
+};
+
+// javax.swing.text.TabStop leader codes by w:tab w:leader (a middle dot leader has no counterpart)
+UdfGenerator.TAB_LEADERS = {
+    none: 0,
+    dot: 1,
+    hyphen: 2,
+    underscore: 3,
+    heavy: 4
+};
+
+// Font sizes offered by the UYAP editor
+UdfGenerator.FONT_SIZES = [8, 9, 10, 11, 12, 14, 16, 18, 20, 22, 24, 26, 28, 36, 48, 72];
+
+// Standard paper sizes in points, short side first
+UdfGenerator.PAPER_SIZES = {
+    A4: [595.3, 841.9],
+    A3: [841.9, 1190.6],
+    A5: [419.5, 595.3],
+    Letter: [612, 792],
+    Legal: [612, 1008]
+};
+
+// Word's default left/right cell margin (108 twips), close to the padding of UDF cells
+UdfGenerator.DEFAULT_CELL_MARGIN = 5.4;
+
+// Size of the lowered capitals of small caps text relative to the run's font size
+UdfGenerator.SMALL_CAPS_SCALE = 0.8;
@@ -0,0 +1,577 @@
+/**
+ * UDF Preview Module
+ * Renders a generated UDF (content.xml) and the parsed DOCX model as HTML
+ */
+
+class UdfPreview {
+    constructor() {
+        this.listCounters = {};
+    }
+
+    /**
+     * Render the content.xml inside a UDF file
+     * @param {Blob} blob - Generated UDF file
+     * @returns {Promise<HTMLElement>} Rendered page
+     */
+    async renderUdfBlob(blob) {
+        const zip = await JSZip.loadAsync(blob);
+        const xml = await zip.file('content.xml').async('string');
+        return this.renderUdf(xml);
+    }
+
+    /**
+     * Render UDF content.xml
+     * @param {string} xml - The content.xml source
+     * @returns {HTMLElement} Rendered page
+     */
+    renderUdf(xml) {
+        this.listCounters = {};
+
+        const udf = parseXml(xml);
+        const contentEl = udf.getElementsByTagName('content')[0];
+        const text = contentEl ? contentEl.textContent : '';
+        const elementsEl = udf.getElementsByTagName('elements')[0];
+
+        const page = this.createPage(udf.getElementsByTagName('pageFormat')[0]);
+        if (!elementsEl) return page;
+
+        for (const element of elementsEl.children) {
+            page.appendChild(this.renderUdfBlock(element, text));
+        }
+
+        return page;
+    }
+
+    /**
+     * Create the paper element, using the UDF margins when available
+     * @param {Element} [pageFormat] - The pageFormat element
+     * @returns {HTMLElement} Page element
+     */
+    createPage(pageFormat) {
+        const page = document.createElement('div');
+        page.className = 'preview-page';
+
+        if (pageFormat) {
+            const margin = (name) => `${parseFloat(pageFormat.getAttribute(name) || '0')}pt`;
+            page.style.padding = `${margin('topMargin')} ${margin('rightMargin')} ${margin('bottomMargin')} ${margin('leftMargin')}`;
+        }
+
+        return page;
+    }
+
+    /**
+     * Render a block-level UDF element (paragraph, table, header, footer, page-break)
+     * @param {Element} element - UDF element
+     * @param {string} text - The CDATA content the offsets refer to
+     * @returns {HTMLElement} Rendered block
+     */
+    renderUdfBlock(element, text) {
+        switch (element.tagName) {
+            case 'paragraph':
+                return this.renderUdfParagraph(element, text);
+            case 'table':
+                return this.renderUdfTable(element, text);
+            case 'page-break': {
+                const hr = document.createElement('hr');
+                hr.className = 'preview-page-break';
+                return hr;
+            }
+            case 'header':
+            case 'footer': {
+                const section = document.createElement('div');
+                section.className = `preview-page-${element.tagName}`;
+                const type = element.getAttribute('type');
+                if (type) section.dataset.label = `${element.tagName} (${type})`;
+                for (const child of element.children) {
+                    section.appendChild(this.renderUdfBlock(child, text));
+                }
+                return section;
+            }
+            default: {
+                const unknown = document.createElement('div');
+                unknown.className = 'preview-unknown';
+                unknown.textContent = `<${element.tagName}>`;
+                return unknown;
+            }
+        }
+    }
+
+    /**
+     * Render a UDF paragraph with its offset-based children
+     * @param {Element} element - The paragraph element
+     * @param {string} text - The CDATA content
+     * @returns {HTMLElement} Rendered paragraph
+     */
+    renderUdfParagraph(element, text) {
+        const p = document.createElement('p');
+        p.className = 'preview-paragraph';
+
+        const alignments = { '0': 'left', '1': 'center', '2': 'right', '3': 'justify' };
+        p.style.textAlign = alignments[element.getAttribute('Alignment')] || 'left';
+        this.applyIndents(p, {
+            left: parseFloat(element.getAttribute('LeftIndent') || '0'),
+            right: parseFloat(element.getAttribute('RightIndent') || '0'),
+            firstLine: parseFloat(element.getAttribute('FirstLineIndent') || '0')
+        });
+        this.applySpacing(p, {
+            before: parseFloat(element.getAttribute('SpaceAbove') || '0'),
+            after: parseFloat(element.getAttribute('SpaceBelow') || '0'),
+            lineSpacing: 1 + parseFloat(element.getAttribute('LineSpacing') || '0')
+        });
+
+        const marker = this.getUdfListMarker(element);
+        if (marker) p.appendChild(this.createListMarker(marker));
+
+        // The nth tab is drawn with the leader of the nth tab stop ("position:alignment:leader")
+        const tabLeaders = (element.getAttribute('TabSet') || '').split(',').filter(Boolean)
+            .map(stop => parseInt(stop.split(':')[2] || '0') > 0);
+        let tabIndex = 0;
+
+        for (const child of element.children) {
+            const start = parseInt(child.getAttribute('startOffset') || '0');
+            const length = parseInt(child.getAttribute('length') || '0');
+            const slice = text.substring(start, start + length);
+
+            if (child.tagName === 'image') {
+                p.appendChild(this.createImage(child.getAttribute('imageData'),
+                    child.getAttribute('width'), child.getAttribute('height')));
+            } else if (child.tagName === 'tab') {
+                p.appendChild(this.createTab(tabLeaders[tabIndex++]));
+            } else {
+                p.appendChild(this.createSpan(slice, this.getUdfStyle(child)));
+            }
+        }
+
+        return p;
+    }
+
+    /**
+     * Compute the visible list marker for a numbered or bulleted UDF paragraph
+     * @param {Element} element - The paragraph element
+     * @returns {string|null} Marker text
+     */
+    getUdfListMarker(element) {
+        if (element.getAttribute('Bulleted') === 'true') {
+            const bullets = {
+                BULLET_TYPE_RECTANGLE: '▪',
+                BULLET_TYPE_DIAMOND: '◆',
+                BULLET_TYPE_TRIANGLE: '►',
+                BULLET_TYPE_DASH: '–'
+            };
+            return bullets[element.getAttribute('BulletType')] || '•';
+        }
+        if (element.getAttribute('Numbered') !== 'true') return null;
+
+        // Count per list and level, restarting deeper levels like the editor does
+        const listId = element.getAttribute('ListId') || '0';
+        const level = parseInt(element.getAttribute('ListLevel') || '0');
+        const counters = this.listCounters[listId] || (this.listCounters[listId] = []);
+        const start = parseInt(element.getAttribute('StartNumber') || '1');
+        counters[level] = counters[level] === undefined ? start : counters[level] + 1;
+        counters.length = level + 1;
+
+        const match = (element.getAttribute('NumberType') || '').match(/^NUMBER_TYPE_(.+)_([A-Z]+)$/);
+        const formats = {
+            LETTER_SMALL: 'lowerLetter',
+            LETTER_CAPITAL: 'upperLetter',
+            ROMAN_SMALL: 'lowerRoman',
+            ROMAN_CAPITAL: 'upperRoman'
+        };
+        const suffixes = { DOT: '.', PARANTHESIS: ')', TRE: '-' };
+        const format = match ? formats[match[1]] || 'decimal' : 'decimal';
+        const suffix = match ? suffixes[match[2]] || '.' : '.';
+
+        return formatListNumber(counters[level], format) + suffix;
+    }
+
+    /**
+     * Convert UDF content attributes to CSS
+     * @param {Element} child - A content element
+     * @returns {Object} Style description
+     */
+    getUdfStyle(child) {
+        const foreground = child.getAttribute('foreground');
+        const background = child.getAttribute('background');
+        return {
+            fontFamily: child.getAttribute('family'),
+            fontSize: child.getAttribute('size') ? parseFloat(child.getAttribute('size')) : null,
+            bold: child.getAttribute('bold') === 'true',
+            italic: child.getAttribute('italic') === 'true',
+            underline: child.getAttribute('underline') === 'true',
+            strike: child.getAttribute('strikethrough') === 'true',
+            superscript: child.getAttribute('superscript') === 'true',
+            subscript: child.getAttribute('subscript') === 'true',
+            color: foreground ? this.rgbIntToHex(parseInt(foreground)) : null,
+            background: background ? this.rgbIntToHex(parseInt(background)) : null
+        };
+    }
+
+    /**
+     * Render a UDF table
+     * @param {Element} element - The table element
+     * @param {string} text - The CDATA content
+     * @returns {HTMLElement} Rendered table
+     */
+    renderUdfTable(element, text) {
+        const table = document.createElement('table');
+        table.className = 'preview-table';
+        if (element.getAttribute('border') === 'borderNone') {
+            table.classList.add('no-border');
+        }
+
+        // Column widths are relative spans
+        const spans = (element.getAttribute('columnSpans') || '').split(',').map(Number).filter(n => n > 0);
+        if (spans.length > 0) {
+            const total = spans.reduce((a, b) => a + b, 0);
+            const colgroup = document.createElement('colgroup');
+            for (const span of spans) {
+                const col = document.createElement('col');
+                col.style.width = `${(span / total * 100).toFixed(2)}%`;
+                colgroup.appendChild(col);
+            }
+            table.appendChild(colgroup);
+        }
+
+        for (const rowEl of element.getElementsByTagName('row')) {
+            // Skip rows of nested tables, they are rendered by their own table
+            if (rowEl.parentNode !== element) continue;
+
+            const tr = document.createElement('tr');
+            for (const cellEl of rowEl.children) {
+                const td = document.createElement('td');
+                const colspan = cellEl.getAttribute('colspan');
+                const rowspan = cellEl.getAttribute('rowspan');
+                if (colspan) td.colSpan = parseInt(colspan);
+                if (rowspan) td.rowSpan = parseInt(rowspan);
+
+                const bgColor = cellEl.getAttribute('bgColor');
+                if (bgColor) td.style.backgroundColor = this.rgbIntToHex(parseInt(bgColor));
+                const vAlign = cellEl.getAttribute('vAlign');
+                if (vAlign) td.style.verticalAlign = vAlign === 'center' ? 'middle' : vAlign;
+
+                for (const child of cellEl.children) {
+                    td.appendChild(this.renderUdfBlock(child, text));
+                }
+                tr.appendChild(td);
+            }
+            table.appendChild(tr);
+        }
+
+        return table;
+    }
+
+    /**
+     * Render the parsed DOCX model (the converter's view of the Word document)
+     * @param {Object} parsed - Parsed document from DocxParser
+     * @returns {HTMLElement} Rendered page
+     */
+    renderDocument(parsed) {
+        const page = document.createElement('div');
+        page.className = 'preview-page';
+
+        if (parsed.pageSetup) {
+            const setup = parsed.pageSetup;
+            const margin = (value) => `${value !== undefined ? value : 0}pt`;
+            page.style.padding = `${margin(setup.topMargin)} ${margin(setup.rightMargin)} ${margin(setup.bottomMargin)} ${margin(setup.leftMargin)}`;
+        }
+
+        const renderVariants = (variants, kind) => {
+            for (const [type, elements] of Object.entries(variants || {})) {
+                const section = document.createElement('div');
+                section.className = `preview-page-${kind}`;
+                if (type !== 'default') section.dataset.label = `${kind} (${type})`;
+                this.renderModelBlocks(elements, section);
+                page.appendChild(section);
+            }
+        };
+
+        renderVariants(parsed.headers, 'header');
+        this.renderModelBlocks(parsed.elements, page);
+        renderVariants(parsed.footers, 'footer');
+
+        return page;
+    }
+
+    /**
+     * Render model blocks into a container
+     * @param {Array} elements - Parsed paragraphs and tables
+     * @param {HTMLElement} container - Target element
+     */
+    renderModelBlocks(elements, container) {
+        for (const element of elements) {
+            if (element.type === 'paragraph') {
+                this.renderModelParagraph(element, container);
+            } else if (element.type === 'table') {
+                container.appendChild(this.renderModelTable(element));
+            }
+        }
+    }
+
+    /**
+     * Render a parsed paragraph; page breaks split it like the generator does
+     * @param {Object} paragraph - Parsed paragraph
+     * @param {HTMLElement} container - Target element
+     */
+    renderModelParagraph(paragraph, container) {
+        let p = document.createElement('p');
+        p.className = 'preview-paragraph';
+        p.style.textAlign = paragraph.alignment || 'left';
+        this.applyIndents(p, {
+            left: paragraph.leftIndent || 0,
+            right: paragraph.rightIndent || 0,
+            firstLine: paragraph.firstLineIndent || 0
+        });
+        this.applySpacing(p, {
+            before: paragraph.spaceBefore || 0,
+            after: paragraph.spaceAfter || 0,
+            lineSpacing: paragraph.lineSpacing || 1
+        });
+
+        if (paragraph.pageBreakBefore) {
+            const hr = document.createElement('hr');
+            hr.className = 'preview-page-break';
+            container.appendChild(hr);
+        }
+
+        if (paragraph.numbering && paragraph.numbering.label) {
+            p.appendChild(this.createListMarker(paragraph.numbering.label));
+        }
+        container.appendChild(p);
+
+        const indent = paragraph.leftIndent || 0;
+        const tabLeaders = (paragraph.tabStops || []).filter(stop => stop.position > indent)
+            .map(stop => stop.leader !== 'none');
+        let tabIndex = 0;
+
+        for (const run of paragraph.runs) {
+            if (run.type === 'text') {
+                p.appendChild(this.createSpan(run.text, run));
+            } else if (run.type === 'tab') {
+                p.appendChild(this.createTab(tabLeaders[tabIndex++]));
+            } else if (run.type === 'break') {
+                p.appendChild(document.createElement('br'));
+            } else if (run.type === 'image') {
+                p.appendChild(this.createImage(run.data, run.width, run.height));
+            } else if (run.type === 'footnoteRef' || run.type === 'endnoteRef') {
+                const sup = document.createElement('sup');
+                sup.className = 'preview-note-ref';
+                sup.textContent = '*';
+                sup.title = this.getNoteText(run.note);
+                p.appendChild(sup);
+            } else if (run.type === 'commentRef') {
+                const sup = document.createElement('sup');
+                sup.className = 'preview-note-ref';
+                sup.textContent = '💬';
+                sup.title = `${run.comment.author}: ${run.comment.text}`;
+                p.appendChild(sup);
+            } else if (run.type === 'pageBreak') {
+                const hr = document.createElement('hr');
+                hr.className = 'preview-page-break';
+                container.appendChild(hr);
+
+                // The rest of the paragraph continues after the break
+                p = p.cloneNode(false);
+                container.appendChild(p);
+            }
+        }
+    }
+
+    /**
+     * Get the plain text of a parsed footnote or endnote, for the reference's tooltip
+     * @param {Object} note - Parsed note
+     * @returns {string} Text of the note's paragraphs
+     */
+    getNoteText(note) {
+        return note.elements
+            .filter(element => element.type === 'paragraph')
+            .map(paragraph => paragraph.runs.filter(run => run.type === 'text').map(run => run.text).join(''))
+            .join(' ')
+            .trim();
+    }
+
+    /**
+     * Render a parsed table
+     * @param {Object} table - Parsed table
+     * @returns {HTMLElement} Rendered table
+     */
+    renderModelTable(table) {
+        const el = document.createElement('table');
+        el.className = 'preview-table';
+        if (table.border === 'borderNone') el.classList.add('no-border');
+
+        for (const row of table.rows) {
+            const tr = document.createElement('tr');
+            if (row.height && row.height.rule !== 'auto') tr.style.height = `${row.height.value}pt`;
+            if (row.gridBefore > 0) tr.appendChild(this.createGridFiller(row.gridBefore));
+
+            for (const cell of row.cells) {
+                if (cell.vMergeContinue) continue;
+
+                const td = document.createElement('td');
+                if (cell.colspan > 1) td.colSpan = cell.colspan;
+                if (cell.rowspan > 1) td.rowSpan = cell.rowspan;
+                if (cell.bgColor) td.style.backgroundColor = cell.bgColor;
+                if (cell.vAlign) td.style.verticalAlign = cell.vAlign === 'center' ? 'middle' : cell.vAlign;
+                this.applyCellBorders(td, cell);
+                this.renderModelBlocks(cell.elements, td);
+                tr.appendChild(td);
+            }
+
+            if (row.gridAfter > 0) tr.appendChild(this.createGridFiller(row.gridAfter));
+            el.appendChild(tr);
+        }
+
+        return el;
+    }
+
+    /**
+     * Draw a parsed cell's own borders and margins
+     * @param {HTMLElement} td - Table cell element
+     * @param {Object} cell - Parsed cell
+     */
+    applyCellBorders(td, cell) {
+        for (const edge of ['top', 'right', 'bottom', 'left']) {
+            const border = cell.borders ? cell.borders[edge] : null;
+            const property = `border${edge.charAt(0).toUpperCase()}${edge.substring(1)}`;
+            td.style[property] = border && border.style !== 'none' && border.width > 0
+                ? `${Math.max(border.width, 0.5)}pt ${border.style === 'double' ? 'double' : 'solid'} ${border.color || '#000000'}`
+                : 'none';
+        }
+
+        if (cell.margins) {
+            const { top, right, bottom, left } = cell.margins;
+            td.style.padding = `${top}pt ${right}pt ${bottom}pt ${left}pt`;
+        }
+    }
+
+    /**
+     * Create the empty cell standing in for grid columns a row skips
+     * @param {number} columns - Number of grid columns
+     * @returns {HTMLElement} Table cell
+     */
+    createGridFiller(columns) {
+        const td = document.createElement('td');
+        td.className = 'grid-filler';
+        if (columns > 1) td.colSpan = columns;
+        return td;
+    }
+
+    /**
+     * Apply paragraph indentation in points
+     * @param {HTMLElement} el - Paragraph element
+     * @param {Object} indents - left, right and firstLine indents in points
+     */
+    applyIndents(el, indents) {
+        if (indents.left) el.style.marginLeft = `${indents.left}pt`;
+        if (indents.right) el.style.marginRight = `${indents.right}pt`;
+        if (indents.firstLine) el.style.textIndent = `${indents.firstLine}pt`;
+    }
+
+    /**
+     * Apply paragraph spacing
+     * @param {HTMLElement} el - Paragraph element
+     * @param {Object} spacing - before and after in points, lineSpacing as a multiple of single spacing
+     */
+    applySpacing(el, spacing) {
+        if (spacing.before) el.style.marginTop = `${spacing.before}pt`;
+        if (spacing.after) el.style.marginBottom = `${spacing.after}pt`;
+        if (spacing.lineSpacing !== 1) el.style.lineHeight = String(Math.round(spacing.lineSpacing * 115) / 100);
+    }
+
+    /**
+     * Create a formatted text span
+     * @param {string} text - Text content
+     * @param {Object} style - Formatting (fontFamily, fontSize, bold, italic, ...)
+     * @returns {HTMLElement} Span element
+     */
+    createSpan(text, style) {
+        const span = document.createElement(style.superscript ? 'sup' : style.subscript ? 'sub' : 'span');
+        span.textContent = text;
+
+        if (style.fontFamily) span.style.fontFamily = `"${style.fontFamily}", serif`;
+        if (style.fontSize) span.style.fontSize = `${style.fontSize}pt`;
+        if (style.bold) span.style.fontWeight = 'bold';
+        if (style.italic) span.style.fontStyle = 'italic';
+        if (style.smallCaps) span.style.fontVariant = 'small-caps';
+
+        const decorations = [];
+        if (style.underline) decorations.push('underline');
+        if (style.strike) decorations.push('line-through');
+        if (decorations.length > 0) span.style.textDecoration = decorations.join(' ');
+
+        if (style.color) span.style.color = style.color;
+        if (style.background) span.style.backgroundColor = style.background;
+
+        return span;
+    }
+
+    /**
+     * Create a list marker element
+     * @param {string} label - Marker text
+     * @returns {HTMLElement} Marker element
+     */
+    createListMarker(label) {
+        const marker = document.createElement('span');
+        marker.className = 'preview-list-marker';
+        marker.textContent = label;
+        return marker;
+    }
+
+    /**
+     * Create a tab placeholder
+     * @param {boolean} [leader] - Draw a leader (dots) across the tab
+     * @returns {HTMLElement} Tab element
+     */
+    createTab(leader = false) {
+        const tab = document.createElement('span');
+        tab.className = leader ? 'preview-tab preview-tab-leader' : 'preview-tab';
+        tab.textContent = '\t';
+        return tab;
+    }
+
+    /**
+     * Create an image from base64 data
+     * @param {string|null} data - Base64 image data
+     * @param {number|string} width - Width in points
+     * @param {number|string} height - Height in points
+     * @returns {HTMLElement} Image or placeholder
+     */
+    createImage(data, width, height) {
+        if (!data) {
+            const missing = document.createElement('span');
+            missing.className = 'preview-image-missing';
+            missing.textContent = '[image]';
+            return missing;
+        }
+
+        const img = document.createElement('img');
+        img.className = 'preview-image';
+        img.src = `data:${this.detectImageType(data)};base64,${data}`;
+        img.style.width = `${width}pt`;
+        img.style.height = `${height}pt`;
+        img.alt = '';
+        return img;
+    }
+
+    /**
+     * Detect the MIME type of base64 image data from its signature
+     * @param {string} data - Base64 data
+     * @returns {string} MIME type
+     */
+    detectImageType(data) {
+        if (data.startsWith('/9j/')) return 'image/jpeg';
+        if (data.startsWith('R0lGOD')) return 'image/gif';
+        if (data.startsWith('Qk')) return 'image/bmp';
+        if (data.startsWith('PHN2Zy') || data.startsWith('PD94bW')) return 'image/svg+xml';
+        return 'image/png';
+    }
+
+    /**
+     * Convert a Java-style signed RGB integer to a CSS hex color
+     * @param {number} value - Signed RGB integer
+     * @returns {string} Hex color
+     */
+    rgbIntToHex(value) {
+        return '#' + ((value >>> 0) & 0xFFFFFF).toString(16).padStart(6, '0');
+    }
+}
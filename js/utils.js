@@ -61,6 +61,20 @@ function arrayBufferToBase64(buffer) {
   return btoa(binary);
 }
 
+/**
+ * Convert a Base64 string to bytes
+ * @param {string} base64 - Base64 encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToUint8Array(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Get file extension from filename
  * @param {string} filename - The filename
@@ -109,9 +123,168 @@ function getXmlText(element, tagName, namespace) {
   return el ? el.textContent : null;
 }
 
+/**
+ * Get direct child elements by local name (unlike getElementsByTagNameNS, which searches all descendants)
+ * @param {Element} element - The parent element
+ * @param {string} localName - Local name to match
+ * @param {string} namespace - XML namespace
+ * @returns {Element[]} Matching child elements
+ */
+function getChildElements(element, localName, namespace = WORD_NS) {
+  const result = [];
+  for (const child of element.children) {
+    if (child.localName === localName && child.namespaceURI === namespace) {
+      result.push(child);
+    }
+  }
+  return result;
+}
+
+/**
+ * Format a list counter in a Word numbering format
+ * @param {number} value - Counter value
+ * @param {string} format - Word w:numFmt value (decimal, lowerLetter, upperRoman, chicago, ...)
+ * @returns {string} Formatted number
+ */
+function formatListNumber(value, format) {
+  switch (format) {
+    case 'none':
+      return '';
+    case 'decimalZero':
+      return value < 10 ? '0' + value : String(value);
+    case 'lowerLetter':
+    case 'upperLetter': {
+      // Word repeats the letter after z: a..z, aa..zz, aaa..
+      const letter = String.fromCharCode(97 + ((value - 1) % 26));
+      const text = letter.repeat(Math.floor((value - 1) / 26) + 1);
+      return format === 'upperLetter' ? text.toUpperCase() : text;
+    }
+    case 'lowerRoman':
+    case 'upperRoman': {
+      const numerals = [
+        [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+      ];
+      let remaining = value;
+      let text = '';
+      for (const [amount, numeral] of numerals) {
+        while (remaining >= amount) {
+          text += numeral;
+          remaining -= amount;
+        }
+      }
+      return format === 'upperRoman' ? text.toUpperCase() : text;
+    }
+    case 'chicago': {
+      // *, †, ‡, §, then doubled, tripled, ...
+      const symbols = ['*', '\u2020', '\u2021', '\u00A7'];
+      return symbols[(value - 1) % 4].repeat(Math.floor((value - 1) / 4) + 1);
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting); the delimiter is detected from
+ * the first line, as spreadsheets with a Turkish locale export with semicolons
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows, without empty lines
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Format a date with a Word date-time picture (the \@ switch of DATE fields)
+ * Month and day names are Turkish, the language of UYAP documents
+ * @param {Date} date - Date to format
+ * @param {string} picture - Picture such as "dd.MM.yyyy" or "d MMMM yyyy HH:mm"
+ * @returns {string} Formatted date
+ */
+function formatDatePicture(date, picture) {
+  const months = ['Ocak', 'Şubat', 'Mart', 'Nisan', 'Mayıs', 'Haziran',
+    'Temmuz', 'Ağustos', 'Eylül', 'Ekim', 'Kasım', 'Aralık'];
+  const days = ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi'];
+  const dayAbbreviations = ['Paz', 'Pzt', 'Sal', 'Çar', 'Per', 'Cum', 'Cmt'];
+  const pad = (value) => String(value).padStart(2, '0');
+  const hours12 = date.getHours() % 12 || 12;
+
+  // M is the month and m the minute; year and day letters are case-insensitive
+  return picture.replace(/[yY]{4}|[yY]{2}|M{1,4}|[dD]{1,4}|H{1,2}|h{1,2}|m{1,2}|s{1,2}|am\/pm|AM\/PM|'[^']*'/g, (token) => {
+    const key = /^[yYdD]+$/.test(token) ? token.toLowerCase() : token;
+    switch (key) {
+      case 'yyyy': return String(date.getFullYear());
+      case 'yy': return pad(date.getFullYear() % 100);
+      case 'MMMM': return months[date.getMonth()];
+      case 'MMM': return months[date.getMonth()].substring(0, 3);
+      case 'MM': return pad(date.getMonth() + 1);
+      case 'M': return String(date.getMonth() + 1);
+      case 'dddd': return days[date.getDay()];
+      case 'ddd': return dayAbbreviations[date.getDay()];
+      case 'dd': return pad(date.getDate());
+      case 'd': return String(date.getDate());
+      case 'HH': return pad(date.getHours());
+      case 'H': return String(date.getHours());
+      case 'hh': return pad(hours12);
+      case 'h': return String(hours12);
+      case 'mm': return pad(date.getMinutes());
+      case 'm': return String(date.getMinutes());
+      case 'ss': return pad(date.getSeconds());
+      case 's': return String(date.getSeconds());
+      case 'am/pm': return date.getHours() < 12 ? 'am' : 'pm';
+      case 'AM/PM': return date.getHours() < 12 ? 'AM' : 'PM';
+      default: return token.slice(1, -1); // Quoted literal text
+    }
+  });
+}
+
 // Word ML namespace
 const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
 const DRAWING_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
 const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
 const PICTURE_NS = 'http://schemas.openxmlformats.org/drawingml/2006/picture';
 const WORDML_DRAWING_NS = 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing';
+const CHART_NS = 'http://schemas.openxmlformats.org/drawingml/2006/chart';
+const VML_NS = 'urn:schemas-microsoft-com:vml';
+const MARKUP_COMPATIBILITY_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const DCTERMS_NS = 'http://purl.org/dc/terms/';